@@ -0,0 +1,62 @@
+/*
+  Benchmarks how training scales with the number of records, counting on the
+  main thread with train() and in shards on worker threads with trainAsync().
+  Run `npm run build` first; the benchmark uses the compiled lib.
+
+    node bench/scaling.js [records...] [--workers n]
+
+  e.g. node bench/scaling.js 100000 1000000 --workers 4
+ */
+const os = require("os");
+const AppRecom = require("../lib/AppRecom").default;
+
+const PLACES = ["cafe", "gym", "airport", "library", "bar", "park", "office", "mall"];
+const APPS = ["social", "news", "music", "health", "travel", "games", "education", "books", "shopping", "maps"];
+
+function parseArgs(argv){
+  const args = {sizes: [], workers: os.cpus().length};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] == "--workers") args.workers = Number(argv[++i]);
+    else args.sizes.push(Number(argv[i]));
+  }
+  if (!args.sizes.length) args.sizes = [10000, 50000, 100000, 200000];
+  return args;
+}
+
+// Deterministic records, so every run measures the same work.
+function generate(length){
+  let seed = 42;
+  const random = ()=> (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const data = [];
+  for (let i = 0; i < length; i++) {
+    const pcat = PLACES[Math.floor(random() * PLACES.length)];
+    const acat = APPS[Math.floor(random() * APPS.length)];
+    data.push({
+      pname: `${pcat} ${Math.floor(random() * 50)}`,
+      pcat,
+      aname: `${acat} app ${Math.floor(random() * 20)}`,
+      acat,
+      timestamp: Date.UTC(2020, 0, 1) + Math.floor(random() * 365 * 24) * 3600000
+    });
+  }
+  return data;
+}
+
+function time(fn){
+  const start = process.hrtime();
+  return Promise.resolve(fn()).then(()=>{
+    const [seconds, nanos] = process.hrtime(start);
+    return seconds * 1000 + nanos / 1e6;
+  });
+}
+
+const args = parseArgs(process.argv.slice(2));
+console.log(`records\ttrain() ms\tms/1k\ttrainAsync(${args.workers} workers) ms\tms/1k`);
+args.sizes.reduce((previous, size)=> previous.then(()=>{
+  const data = generate(size);
+  return time(()=> new AppRecom().train(data, 0.01, 0.1, 0.8, {seed: 1})).then((syncMs)=>
+    time(()=> new AppRecom().trainAsync(data, 0.01, 0.1, 0.8, {seed: 1, workers: args.workers})).then((asyncMs)=>{
+      const perThousand = (ms)=> (ms / size * 1000).toFixed(2);
+      console.log(`${size}\t${syncMs.toFixed(0)}\t\t${perThousand(syncMs)}\t${asyncMs.toFixed(0)}\t\t\t\t${perThousand(asyncMs)}`);
+    }));
+}), Promise.resolve());
@@ -1,5 +1,25 @@
+import fs from "fs";
+import {EventEmitter} from "events";
+import GridIndex from "./GridIndex";
+import os from "os";
+import {readCSV, readNDJSON} from "./loaders";
+import {createServer} from "./server";
+import {createLogger} from "./logger";
+import RuleStrategy from "./RuleStrategy";
+import SimilarityStrategy from "./SimilarityStrategy";
+import EnsembleRecommender from "./EnsembleRecommender";
+import {seededRandom, shuffle} from "./random";
+import {pruneItemsets, mineRules, ruleMetrics, ruleThresholds, rankRules, restoreRules} from "./rules";
+import {InvalidRecordError, InvalidParameterError} from "./errors";
+import {FALLBACK_LEVELS, validateRecords, validateRatios, validateCounts, validateDecay, validateLocation, validatePoint, validateQueryOptions} from "./validation";
+import {COUNT_MAPS, emptyCounts, increment, countRecord, countRecords, mergeCounts, copyCounts, containsCounts, countsToJSON, countsFromJSON, countInWorkers, contextOf, placeKey} from "./counts";
+
 // CONSTANTS
 const RULES_ENCODING = "utf-8";
+const MODEL_VERSION = 5; // bumped on every change to what is saved; older files are rejected, not patched
+const TUNING_METRICS = ["recallAtK", "precisionAtK", "coverage", "averageError"];
+const STRATEGIES = {rules: RuleStrategy, similarity: SimilarityStrategy};
+const FEEDBACK_OUTCOMES = ["accepted", "dismissed"];
 
 /**
  * <p>AppRecom is a tool for getting app recommendations based on a user's location.</p>
@@ -11,18 +31,49 @@ const RULES_ENCODING = "utf-8";
  * <li>getApps()</li>
  * </ol>
  *
+ * A trained model can be persisted with save() and restored with AppRecom.load(),
+ * kept up to date with addRecords(), removeRecords() and recordFeedback(), and served over HTTP with AppRecom.serve().
+ *
+ * <p>AppRecom is an EventEmitter. Training and evaluation emit events with structured payloads:</p>
+ * <ul>
+ * <li>itemsetsCounted - {records, weight, itemsets, placeItemsets, contextItemsets, placeCategories, appCategories} once the data is counted</li>
+ * <li>roundEvaluated - {round, rounds, k, training, testing, covered, error, coverage, precision, recall} for each holdout round or fold</li>
+ * <li>rulesGenerated - {records, weight, locations, rules, placeRules, contextRules, parentRules, popularity} whenever the rules are derived,
+ * also after addRecords() and removeRecords()</li>
+ * <li>trained - {params, records, weight, rules} once a model is fit to all of the data</li>
+ * <li>feedbackRecorded - {location, app, outcome, accepted, dismissed} for each recordFeedback()</li>
+ * </ul>
+ *
  * For specific information about each method, check the method documentation.
  */
-class AppRecom{
+class AppRecom extends EventEmitter{
 
   /**
    * Instantiate an AppRecom object for training and fetching recommendations.
-   * @param {Boolean} debug - option for console log debugging
+   * @param {Object} options - logging options, or true as a shorthand for {logLevel: "debug"}
+   * @param {Object} options.logger - where the log messages go, any object with debug(), info(), warn() and error() methods,
+   *                                  called with (message, fields) (default console)
+   * @param {String} options.logLevel - the lowest level logged: "debug", "info", "warn", "error" or "silent" (default "warn")
    */
-  constructor(debug = false){
-    this.itemsets = [];
-    this.rules = [];
-    this.DEBUG = debug;
+  constructor(options = {}){
+    super();
+    if (typeof options === "boolean") options = {logLevel: options ? "debug" : "warn"};
+    if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+    this.logger = createLogger(options.logger || console, options.logLevel || "warn");
+    this.counts = emptyCounts();
+    this.rules = {};
+    this.placeRules = {};
+    this.contextRules = {};
+    this.parentRules = {};
+    this.popularity = [];
+    this.nameRules = {};
+    this.namePopularity = {};
+    this.taxonomy = {};
+    this.placeIndex = new GridIndex();
+    this.appVectors = new Map();
+    this.strategy = new RuleStrategy();
+    this.feedback = {};
+    this.params = null;
   }
 
   /**
@@ -31,203 +82,1210 @@ class AppRecom{
    * {pname: "Place Name", pcat: "Place Category", aname: "App Name", acat: "App Category"}
    * </p>
    *
+   * <p>Records may also carry a timestamp (interpreted in UTC), or an explicit hour (0 - 23) and weekday
+   * (0 - 6, Sunday first), to mine rules for the time of day and weekdays or weekends at each place category.
+   * Records with lat and lng place their pname on the map for getAppsNear(), and records with a userId
+   * are also counted per user to personalize getApps(). A numeric userId is the same user as its string.</p>
+   *
+   * <p>Before the final rules are mined on all of the data, the rules are evaluated on held out test data.
+   * The returned report contains the unknown (error) rate of each round and on average, the coverage
+   * (ratio of test records that had a matching rule), precision@k, recall@k and the same numbers per place category.</p>
+   *
+   * <p>The recommendations for a place category come from a strategy. By default these are the association rules
+   * place category => app category; the "similarity" strategy instead blends in the place categories with the most
+   * similar app usage (see SimilarityStrategy). Either way the rules are mined and kept in rules, and evaluation
+   * tests the strategy.</p>
+   *
+   * <p>Rules are kept as objects carrying their association metrics:</p>
+   * <p>
+   * {app, count, support, confidence, lift, leverage, conviction}
+   * </p>
+   *
+   * <p>With options.halfLife, older records count for less: a record weighs 0.5 ^ (age / halfLife), its age being
+   * measured back from options.decayReference, and every support and confidence is computed from the weighted counts.
+   * Records without a timestamp weigh 1. Records added later with addRecords() are weighed with the same decay.</p>
+   *
+   * <p>Invalid input throws an InvalidParameterError, or an InvalidRecordError with the index and field of
+   * every bad record. With options.skipInvalid, bad records are left out instead and listed in report.invalid.</p>
+   *
    * @param {Array<Object>} data - data to find association rules on.
    * @param {Decimal} min_support - the minimum support percentage for an itemset (0.0 - 1.0)
    * @param {Decimal} min_conf - the minimum confidence percentage for a rule (0.0 - 1.0)
    * @param {Number} test_ratio - ratio of training data to test data (0.0 - 1.0)
-   * @returns rules
+   * @param {Object} options - rule thresholds and evaluation options, see evaluate()
+   * @param {Number} options.minLift - the minimum lift for a rule (default 0)
+   * @param {Number} options.minLeverage - the minimum leverage for a rule (default -1)
+   * @param {Number} options.minConviction - the minimum conviction for a rule (default 0)
+   * @param {Object} options.taxonomy - parent of each place category (e.g. {cafe: 'food_and_drink'}) to mine fallback rules for
+   * @param {Decimal} options.minPlaceSupport - the minimum support of a {pname, pcat, acat} itemset for place name rules (default min_support)
+   * @param {Decimal} options.minContextSupport - the minimum support of a {pcat, time bucket, acat} itemset for time based rules (default min_support)
+   * @param {Boolean} options.skipInvalid - leave invalid records out and report them instead of throwing
+   * @param {String} options.strategy - what recommends for a place category: "rules" (default), "similarity" or a registered strategy
+   * @param {Object} options.strategyOptions - the options of the strategy, e.g. {neighbors: 5} for "similarity"
+   * @param {Number} options.halfLife - weigh records by their timestamp, halving the weight every halfLife milliseconds
+   * @param {Date|Number} options.decayReference - the time at which records weigh 1 (default the latest timestamp in the data)
+   * @returns {Object} evaluation report
+   */
+  train(data, min_support = 0.02, min_conf = 0.8, test_ratio = 0.8, options = {}){
+    const {records, invalid} = this._checkTraining(data, min_support, min_conf, test_ratio, options);
+    const decay = decayFor(options, records);
+    const report = this._train(records, this._counted(this._countItemsets(records, decay)), min_support, min_conf, test_ratio, options, decay);
+    report.invalid = invalid;
+    return report;
+  }
+
+  /**
+   * <p>Trains like train(), but counts the data in shards on worker threads first.
+   * Worth it for large data sets; the evaluation and the rules are the same as with train(). Versions of Node
+   * without worker threads (before 12) count on the main thread instead.</p>
+   *
+   * @param {Array<Object>} data - data to find association rules on.
+   * @param {Decimal} min_support - the minimum support percentage for an itemset (0.0 - 1.0)
+   * @param {Decimal} min_conf - the minimum confidence percentage for a rule (0.0 - 1.0)
+   * @param {Number} test_ratio - ratio of training data to test data (0.0 - 1.0)
+   * @param {Object} options - the options of train(), plus:
+   * @param {Number} options.workers - the number of worker threads (default the number of CPUs)
+   * @returns {Promise<Object>} evaluation report
+   */
+  trainAsync(data, min_support = 0.02, min_conf = 0.8, test_ratio = 0.8, options = {}){
+    let checked;
+    try {
+      checked = this._checkTraining(data, min_support, min_conf, test_ratio, options);
+      validateCounts({workers: options.workers}, 1);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    const workers = options.workers || os.cpus().length;
+    const decay = decayFor(options, checked.records);
+    return countInWorkers(checked.records, workers, decay).then((counts)=>{
+      const report = this._train(checked.records, this._counted(counts), min_support, min_conf, test_ratio, options, decay);
+      report.invalid = checked.invalid;
+      return report;
+    });
+  }
+
+  /**
+   * Validates the parameters and records for training or evaluation.
+   * @private
+   * @returns {Object} {records, invalid} - the valid records and the problems of the others
+   */
+  _checkTraining(data, min_support, min_conf, test_ratio, options){
+    if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+    validateRatios({min_support, min_conf, test_ratio, minPlaceSupport: options.minPlaceSupport, minContextSupport: options.minContextSupport});
+    validateCounts({k: options.k, rounds: options.rounds}, 1);
+    validateCounts({folds: options.folds}, 2);
+    if (options.taxonomy !== undefined && (!options.taxonomy || typeof options.taxonomy !== "object")) throw new InvalidParameterError("taxonomy", "must map place categories to their parents");
+    validateDecay(options);
+    createStrategy(options); // throws for an unknown strategy or bad strategy options
+    return validateRecords(data, options.skipInvalid);
+  }
+
+  /**
+   * Evaluates and then derives the final rules from the counts of all of the data.
+   * @private
    */
-  train(data, min_support = 0.02, min_conf = 0.8, test_ratio = 0.8){
+  _train(data, counts, min_support, min_conf, test_ratio, options, decay){
     // TRAIN AND TEST
-    this._testData(data, min_support, min_conf, test_ratio, 5);
+    const report = this._evaluate(data, counts, min_support, min_conf, test_ratio, options, decay);
     // DONE TESTING
 
     // Get final rules using all data
-    const optimalItemset = this._getOptimalItemset(data, min_support);
-    const rules = this._getRules(data, optimalItemset, min_conf); // get the rules
-    this.rules = rules;
+    this._fit(counts, min_support, min_conf, test_ratio, options, decay);
+    return report;
+  }
+
+  /**
+   * Stores the training parameters and counts, and derives the rules from them.
+   * The decay the counts were weighed with is kept so added records are weighed alike.
+   * @private
+   */
+  _fit(counts, min_support, min_conf, test_ratio, options, decay){
+    this.params = trainingParams(min_support, min_conf, test_ratio, options);
+    if (decay) Object.assign(this.params, {halfLife: decay.halfLife, decayReference: decay.reference});
+    this.taxonomy = options.taxonomy || {};
+    this.strategy = createStrategy(this.params);
+    this.counts = counts;
+    this._deriveRules();
+    const trained = {params: this.params, records: counts.records, weight: counts.weight, rules: ruleCount(this.rules)};
+    this.logger.info(`Trained on ${trained.records} records with ${trained.rules} rules`, trained);
+    this.emit("trained", trained);
+  }
+
+  /**
+   * <p>Trains a recommender on a CSV file with a header row, streaming the records from disk
+   * so the raw rows are never held in memory. As the records are not kept, the rules are not evaluated on held out data.</p>
+   *
+   * <p>Lines that cannot be parsed, or that hold an invalid record, are skipped and listed in the report.
+   * With a halfLife, options.decayReference is required, as the latest timestamp is not known until every record is read.</p>
+   *
+   * @param {String} path - the CSV file
+   * @param {Object} columnMap - the CSV column of each record field (e.g. {pcat: 'place_category'}), by default the field name
+   * @param {Object} options - the options of train(), plus its min_support, min_conf and test_ratio parameters and the logger and logLevel of the constructor
+   * @returns {Promise<Object>} {model, report}, where report is {records, malformed: [{line, message}]}
+   */
+  static fromCSV(path, columnMap = {}, options = {}){
+    return AppRecom._fromStream((onRecord)=> readCSV(path, columnMap, onRecord), options);
+  }
+
+  /**
+   * <p>Trains a recommender on a newline delimited JSON file, one record object per line, streaming it like fromCSV().</p>
+   *
+   * @param {String} path - the NDJSON file
+   * @param {Object} options - the options of train(), plus its min_support, min_conf and test_ratio parameters and the logger and logLevel of the constructor
+   * @returns {Promise<Object>} {model, report}, where report is {records, malformed: [{line, message}]}
+   */
+  static fromNDJSON(path, options = {}){
+    return AppRecom._fromStream((onRecord)=> readNDJSON(path, onRecord), options);
+  }
+
+  /**
+   * Counts the records of a loader as they stream in, then derives the rules.
+   * @private
+   */
+  static _fromStream(read, options){
+    const recom = new AppRecom(loggingOptions(options));
+    const counts = emptyCounts();
+    const min_support = options.min_support !== undefined ? options.min_support : 0.02;
+    const min_conf = options.min_conf !== undefined ? options.min_conf : 0.8;
+    const test_ratio = options.test_ratio !== undefined ? options.test_ratio : 0.8;
+    try {
+      recom._checkTraining([], min_support, min_conf, test_ratio, options); // the records are checked by the loader
+      if (options.halfLife && options.decayReference === undefined) throw new InvalidParameterError("decayReference", "is required with halfLife when streaming records");
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    const decay = decayFor(options);
+    return read((record)=> countRecord(counts, record, decay)).then((report)=>{
+      recom._fit(recom._counted(counts), min_support, min_conf, test_ratio, options, decay);
+      return {model: recom, report};
+    });
+  }
+
+  /**
+   * <p>Adds records to a trained model. Only the new records are counted; the rules are then
+   * re-derived from the stored counts with the training parameters, giving the same rules as
+   * training on all of the records again.</p>
+   *
+   * @param {Array<Object>} records - records shaped like the training data
+   */
+  addRecords(records){
+    if (!this.params) throw new Error("The model must be trained before records can be added");
+    validateRecords(records);
+    mergeCounts(this.counts, this._countItemsets(records, decayFor(this.params)));
+    this._deriveRules();
+  }
+
+  /**
+   * <p>Removes records that were previously trained on or added, and re-derives the rules like addRecords().</p>
+   *
+   * @param {Array<Object>} records - records shaped like the training data
+   */
+  removeRecords(records){
+    if (!this.params) throw new Error("The model must be trained before records can be removed");
+    validateRecords(records);
+    const removed = this._countItemsets(records, decayFor(this.params));
+    if (!containsCounts(this.counts, removed)) throw new Error("Cannot remove records that are not part of the model");
+    mergeCounts(this.counts, removed, -1);
+    this._deriveRules();
+  }
+
+  /**
+   * <p>Evaluates the rules mined with these parameters on held out data without changing the trained model.</p>
+   *
+   * <p>By default the data is shuffled into training and testing sets for a number of holdout rounds.
+   * With options.folds the data is split for k-fold cross-validation instead, each fold being tested once.
+   * Passing a seed makes the shuffling deterministic, so two evaluations of the same data report identical metrics.</p>
+   *
+   * @param {Array<Object>} data - data to evaluate association rules on.
+   * @param {Decimal} min_support - the minimum support percentage for an itemset (0.0 - 1.0)
+   * @param {Decimal} min_conf - the minimum confidence percentage for a rule (0.0 - 1.0)
+   * @param {Number} test_ratio - ratio of training data to test data for holdout rounds (0.0 - 1.0)
+   * @param {Object} options - evaluation options, plus the rule thresholds of train()
+   * @param {Number} options.k - the number of top recommendations scored by precision@k and recall@k (default 3)
+   * @param {Number} options.rounds - the number of holdout rounds (default 5)
+   * @param {Number} options.folds - the number of folds for k-fold cross-validation
+   * @param {Boolean} options.stratify - keep the share of each place category equal across splits
+   * @param {Number} options.seed - seed for the shuffling
+   * @param {Boolean} options.skipInvalid - leave invalid records out and report them instead of throwing, like train()
+   * @returns {Object} evaluation report
+   */
+  evaluate(data, min_support = 0.02, min_conf = 0.8, test_ratio = 0.8, options = {}){
+    const {records, invalid} = this._checkTraining(data, min_support, min_conf, test_ratio, options);
+    const decay = decayFor(options, records);
+    const report = this._evaluate(records, this._counted(this._countItemsets(records, decay)), min_support, min_conf, test_ratio, options, decay);
+    report.invalid = invalid;
+    return report;
+  }
+
+  /**
+   * <p>Searches for the min_support and min_conf that work best on the data. Every combination of the two grids is
+   * evaluated with k-fold cross-validation on the same folds, the combinations are ranked by the metric, and a
+   * recommender is trained on all of the data with the best one.</p>
+   *
+   * <p>The results table holds the evaluation metrics of each combination, best first:</p>
+   * <p>
+   * {rank: 1, min_support: 0.02, min_conf: 0.5, averageError: 0.3, coverage: 0.9, precisionAtK: 0.4, recallAtK: 0.6}
+   * </p>
+   *
+   * @param {Array<Object>} data - data to find association rules on.
+   * @param {Object} options - the options of train() and evaluate(), plus:
+   * @param {Array<Decimal>} options.supportGrid - the min_support values to try (default [0.01, 0.02, 0.05, 0.1])
+   * @param {Array<Decimal>} options.confGrid - the min_conf values to try (default [0.3, 0.5, 0.7, 0.8])
+   * @param {String} options.metric - "recallAtK", "precisionAtK", "coverage" or "averageError" (default "recallAtK");
+   *                                  ties go to the higher coverage, and combinations that cover nothing rank last
+   * @param {Number} options.folds - the number of cross-validation folds (default 5)
+   * @param {Decimal} options.test_ratio - stored with the parameters of the trained model (default 0.8)
+   * @param {Object} options.logger - the logger of the trained model, with options.logLevel, see the constructor
+   * @returns {Object} {model, best, results, metric, folds, invalid} - the trained recommender, the best row of results and the ranked results
+   */
+  static tune(data, options = {}){
+    if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+    const supportGrid = options.supportGrid || [0.01, 0.02, 0.05, 0.1];
+    const confGrid = options.confGrid || [0.3, 0.5, 0.7, 0.8];
+    const metric = options.metric || "recallAtK";
+    const folds = options.folds || 5;
+    const test_ratio = options.test_ratio !== undefined ? options.test_ratio : 0.8;
+    [["supportGrid", supportGrid], ["confGrid", confGrid]].forEach(([parameter, grid])=>{
+      if (!Array.isArray(grid) || !grid.length) throw new InvalidParameterError(parameter, "must be a non-empty array of ratios");
+      grid.forEach((value, i)=> validateRatios({[`${parameter}[${i}]`]: value}));
+    });
+    if (TUNING_METRICS.indexOf(metric) == -1) throw new InvalidParameterError("metric", `must be one of ${TUNING_METRICS.join(", ")}, got ${metric}`);
+
+    const recom = new AppRecom(loggingOptions(options));
+    const evaluation = Object.assign({}, options, {folds});
+    const {records, invalid} = recom._checkTraining(data, supportGrid[0], confGrid[0], test_ratio, evaluation);
+    const decay = decayFor(options, records);
+    const counts = recom._counted(recom._countItemsets(records, decay));
+    const splits = recom._splitData(records, test_ratio, evaluation);
+    const splitCounts = recom._trainingCounts(counts, splits, decay);
+    const k = options.k || 3;
+
+    let results = [];
+    for (const min_support of supportGrid) {
+      for (const min_conf of confGrid) {
+        const report = recom._testData(records, splits, splitCounts, trainingParams(min_support, min_conf, test_ratio, options), k);
+        results.push({min_support, min_conf, averageError: report.averageError, coverage: report.coverage, precisionAtK: report.precisionAtK, recallAtK: report.recallAtK});
+      }
+    }
+    const sign = metric == "averageError" ? -1 : 1; // a lower error is better
+    // Combinations without any covered records have no error to speak of, so they always rank last.
+    results.sort((a, b)=> (b.coverage > 0) - (a.coverage > 0) || sign * (b[metric] - a[metric]) || b.coverage - a.coverage);
+    results = results.map((row, i)=> Object.assign({rank: i + 1}, row));
+
+    const best = results[0];
+    recom._fit(counts, best.min_support, best.min_conf, test_ratio, options, decay);
+    return {model: recom, best, results, metric, folds, invalid};
+  }
+
+  /**
+   * Evaluates with the counts of all of the data already at hand.
+   * @private
+   */
+  _evaluate(data, counts, min_support, min_conf, test_ratio, options, decay){
+    const k = options.k || 3;
+    const splits = this._splitData(data, test_ratio, options);
+    const params = trainingParams(min_support, min_conf, test_ratio, options);
+    const report = this._testData(data, splits, this._trainingCounts(counts, splits, decay), params, k);
+    report.mode = options.folds ? "kfold" : "holdout";
+    report.seed = options.seed !== undefined ? options.seed : null;
+    return report;
   }
 
   /**
    * <p>Retrieves app category recommendations that best fit this location as an array.</p>
    *
-   * @param {String} locationCategory - the category of the location (e.g. 'cafe')
+   * <p>The location is either a place category or a {pname, pcat} object. Place names with enough support at a place
+   * category have rules of their own, which are used before the rules of their place category. A chain that is both a
+   * cafe and an airport shop has rules for each.</p>
+   *
+   * <p>Given options.time, the rules mined for that time of day and part of the week at the place category
+   * come first. Time buckets without enough support fall back to the rules of the place category.</p>
+   *
+   * <p>When there are no rules for the location, the recommendations fall back to the rules of its
+   * parent categories in the taxonomy given to train(), and then to the most popular app categories overall.
+   * options.fallback picks which of the "place", "context", "exact", "parent" and "popularity" levels are tried, in order.</p>
+   *
+   * <p>With options.withScores each recommendation is an object instead of the app category string,
+   * where level is the fallback level that produced it:</p>
+   * <p>
+   * {app: "App Category", score: 0.9, support: 0.05, confidence: 0.9, count: 42, level: "exact"}
+   * </p>
+   *
+   * <p>Given options.userId, the score blends the user's own confidence in each app at the place category with the
+   * global one, trusting the user by n / (n + userPrior) for n records of theirs at the place category. Apps only
+   * the user has used there are added with level "user".</p>
+   *
+   * <p>App categories dismissed at the location through recordFeedback() score less: the score is multiplied by
+   * (accepted + feedbackPrior) / (accepted + dismissed + feedbackPrior), and once the dismissals outnumber the acceptances
+   * by suppressAfter the app category is no longer recommended there. The feedback given for a place category also
+   * holds for its place names.</p>
+   *
+   * <p>options.exclude leaves out app categories, e.g. those of the apps the user already has open, and a fallback level
+   * left without recommendations falls through to the next. With options.diversify,
+   * the recommendations are re-ranked with maximal marginal relevance so that the top slots are not near duplicates: each
+   * next slot goes to the app category with the best (1 - diversity) * score - diversity * similarity, similarity being the
+   * highest cosine similarity to an app category ranked before it, from how often the two are used at the same place
+   * categories. Scores are relative to the best one, and kept as they were in the scored recommendations.</p>
+   *
+   * @param {String|Object} location - the category of the location (e.g. 'cafe') or a {pname, pcat} object
+   * @param {Object} options - recommendation options
+   * @param {Number} options.limit - the maximum number of recommendations
+   * @param {Decimal} options.minConfidence - drop recommendations below this confidence (0.0 - 1.0)
+   * @param {Boolean} options.withScores - return scored objects instead of app category strings
+   * @param {Date|Number|Object} options.time - the time of the visit as a Date, a timestamp or {hour, weekday}
+   * @param {Array<String>|Boolean} options.fallback - the fallback levels to try, false for the most specific rules only
+   * @param {String|Number} options.userId - the user to personalize the recommendations for; 1 and "1" are the same user
+   * @param {Number} options.userPrior - how many records of a user it takes to weigh them as much as everyone else (default 10)
+   * @param {Number} options.feedbackPrior - how many acceptances a dismissal is weighed against (default 5)
+   * @param {Number} options.suppressAfter - how many more dismissals than acceptances suppress an app category (default 3)
+   * @param {Boolean} options.feedback - false to leave the recorded feedback out
+   * @param {Array<String>} options.exclude - app categories not to recommend
+   * @param {Boolean} options.diversify - re-rank the recommendations for diversity
+   * @param {Decimal} options.diversity - how much similarity to the app categories ranked before counts against a recommendation (0.0 - 1.0, default 0.3)
+   * @returns {Array<String|Object>} the recommendations, best first
+   */
+  getApps(location, options = {}){
+    validateLocation(location);
+    validateQueryOptions(options);
+    const place = toPlace(location);
+    let appRecommendations = this._fallback(place, contextOf(options.time), options).recommendations;
+    if (options.userId !== undefined) {
+      const userPrior = options.userPrior !== undefined ? options.userPrior : 10;
+      appRecommendations = this._personalize(appRecommendations, options.userId, place.pcat, userPrior);
+    }
+    return present(this._rerank(this._applyFeedback(appRecommendations, place, options), options), options);
+  }
+
+  /**
+   * <p>Explains why an app category is, or is not, recommended for a location by getApps() with the same options.</p>
+   *
+   * <p>The explanation names the fallback levels that were tried (path, with the number of rules each had) and the level
+   * that produced the recommendation. For the rule of that level, or of the first level tried when none had rules, it gives
+   * the itemset count, the hypothesis and conclusion frequencies out of all records, the rule metrics, the thresholds
+   * they were held to and the names of the thresholds they missed (failed). Counts are weighted when trained with a halfLife.</p>
+   * <p>
+   * {app, location, recommended, rank, score, level, path: [{level, rules}], ruleLevel, hypothesis, itemsetCount,
+   * hypothesisFrequency, conclusionFrequency, records, support, confidence, lift, leverage, conviction, thresholds, failed}
+   * </p>
+   *
+   * <p>strategy names the strategy that answers the "exact" level. A strategy other than the rules may explain its
+   * recommendations in strategyDetails, like the similar place categories of SimilarityStrategy.</p>
+   *
+   * <p>With options.userId, personalization holds the user's record count at the place category, how much
+   * their own confidence was trusted (weight) and that confidence.</p>
+   *
+   * <p>When the app category has feedback at the location, feedback holds the acceptances and dismissals recorded,
+   * the factor its score was multiplied by and whether it was suppressed.</p>
+   *
+   * @param {String|Object} location - the category of the location (e.g. 'cafe') or a {pname, pcat} object
+   * @param {String} app - the app category to explain
+   * @param {Object} options - the options of getApps()
+   * @returns {Object} explanation
+   */
+  explain(location, app, options = {}){
+    validateLocation(location);
+    validateQueryOptions(options);
+    if (typeof app !== "string" || !app) throw new InvalidParameterError("app", "must be an app category");
+    if (!this.params) throw new Error("The model must be trained before its recommendations can be explained");
+    const place = toPlace(location);
+    const context = contextOf(options.time);
+    const walk = this._fallback(place, context, options);
+    let recommendations = walk.recommendations;
+    let personalization;
+    if (options.userId !== undefined) {
+      const userPrior = options.userPrior !== undefined ? options.userPrior : 10;
+      recommendations = this._personalize(recommendations, options.userId, place.pcat, userPrior);
+      const user = String(options.userId);
+      const userCount = this.counts.users.get(jstr([user, place.pcat])) || 0;
+      personalization = {
+        userId: user,
+        records: userCount,
+        weight: userCount / (userCount + userPrior),
+        confidence: userCount ? (this.counts.userItemsets.get(jstr([user, place.pcat, app])) || 0) / userCount : 0
+      };
+    }
+    recommendations = this._rerank(this._applyFeedback(recommendations, place, options), options);
+    const rank = recommendations.findIndex((rec)=> rec.app == app);
+    const explanation = {
+      app,
+      location: place,
+      recommended: rank != -1,
+      rank: rank != -1 ? rank + 1 : null,
+      score: rank != -1 ? recommendations[rank].score : null,
+      level: rank != -1 ? recommendations[rank].level : null,
+      path: walk.path
+    };
+    const ruleLevel = walk.level || (walk.path.length ? walk.path[0].level : null);
+    if (ruleLevel) Object.assign(explanation, this._explainRule(ruleLevel, place, context, app, options));
+    explanation.strategy = this.params.strategy || "rules";
+    if (ruleLevel == "exact" && this.strategy.explain) explanation.strategyDetails = this.strategy.explain(place, app);
+    if (personalization) explanation.personalization = personalization;
+    const tally = this._feedbackFor(place, app);
+    if (options.feedback !== false && (tally.accepted || tally.dismissed)) {
+      const {feedbackPrior, suppressAfter} = feedbackOptions(options);
+      explanation.feedback = Object.assign(tally, {factor: feedbackFactor(tally, feedbackPrior), suppressed: tally.dismissed - tally.accepted >= suppressAfter});
+    }
+    return explanation;
+  }
+
+  /**
+   * <p>Records whether a user accepted or dismissed a recommended app category at a location. Dismissals lower the
+   * score of the app category at the location in getApps(), or suppress it, and acceptances offset them; see getApps().
+   * The feedback is kept apart from the records, so it stays through training again, and is saved with the model.</p>
+   *
+   * @param {Object} feedback - {location, app, outcome}
+   * @param {String|Object} feedback.location - the category of the location (e.g. 'cafe') or a {pname, pcat} object
+   * @param {String} feedback.app - the app category that was recommended
+   * @param {String} feedback.outcome - "accepted" or "dismissed"
+   * @returns {Object} {accepted, dismissed} - the feedback recorded so far for the app category at the location
+   */
+  recordFeedback(feedback){
+    if (!feedback || typeof feedback !== "object") throw new InvalidParameterError("feedback", "must be {location, app, outcome}");
+    const {location, app, outcome} = feedback;
+    validateLocation(location);
+    if (typeof app !== "string" || !app) throw new InvalidParameterError("app", "must be an app category");
+    if (FEEDBACK_OUTCOMES.indexOf(outcome) == -1) throw new InvalidParameterError("outcome", `must be one of ${FEEDBACK_OUTCOMES.join(", ")}, got ${outcome}`);
+    const place = toPlace(location);
+    const key = placeKey(place.pname, place.pcat);
+    const apps = this.feedback[key] || (this.feedback[key] = {});
+    const tally = apps[app] || (apps[app] = {accepted: 0, dismissed: 0});
+    tally[outcome]++;
+    this.emit("feedbackRecorded", {location: place, app, outcome, accepted: tally.accepted, dismissed: tally.dismissed});
+    return Object.assign({}, tally);
+  }
+
+  /**
+   * <p>Retrieves app category recommendations for a coordinate rather than a place category.</p>
+   *
+   * <p>The k known places closest to the point within the radius are looked up in a spatial index, and their
+   * rules (place name rules, or else their place category rules) are blended. Each place is weighted by
+   * 1 / (1 + distance / radiusMeters), so closer places count for more. Without nearby places the
+   * recommendations fall back to the most popular app categories, unless options.fallback is false.</p>
+   *
+   * <p>The recommendations of each place are personalized for options.userId, lowered by the feedback recorded with
+   * recordFeedback() and left without the excluded app categories before they are blended, like those of getApps().
+   * options.diversify then re-ranks the blend.</p>
+   *
+   * @param {Object} point - {lat, lng} of the user
+   * @param {Object} options - the options of getApps(), plus:
+   * @param {Number} options.radiusMeters - how far away places are considered (default 500)
+   * @param {Number} options.k - the maximum number of places to blend (default 5)
+   * @returns {Array<String|Object>} the recommendations, best first, with level "near" when scored
+   */
+  getAppsNear(point, options = {}){
+    validatePoint(point);
+    validateQueryOptions(options);
+    const radiusMeters = options.radiusMeters !== undefined ? options.radiusMeters : 500;
+    const userPrior = options.userPrior !== undefined ? options.userPrior : 10;
+    const nearby = this.placeIndex.near(point.lat, point.lng, radiusMeters, options.k || 5);
+    const blended = new Map();
+    let totalWeight = 0;
+    for (const {item, distance} of nearby) {
+      const placeRules = this._levelRules("place", item);
+      const rules = placeRules.length ? placeRules : this._levelRules("exact", item);
+      let recommendations = rules.map((rule)=> scoreRule(rule));
+      if (options.userId !== undefined) recommendations = this._personalize(recommendations, options.userId, item.pcat, userPrior);
+      recommendations = this._rerank(this._applyFeedback(recommendations, item, options), {exclude: options.exclude});
+      if (!recommendations.length) continue;
+      const weight = 1 / (1 + distance / radiusMeters);
+      totalWeight += weight;
+      recommendations.forEach((placeRec)=>{
+        if (!blended.has(placeRec.app)) blended.set(placeRec.app, {app: placeRec.app, score: 0, support: 0, confidence: 0, count: 0, level: "near"});
+        const rec = blended.get(placeRec.app);
+        rec.score += weight * placeRec.score;
+        rec.support += weight * placeRec.support;
+        rec.confidence += weight * placeRec.confidence;
+        rec.count += placeRec.count;
+      });
+    }
+
+    let appRecommendations = [...blended.values()].map((rec)=>{
+      rec.score /= totalWeight;
+      rec.support /= totalWeight;
+      rec.confidence /= totalWeight;
+      return rec;
+    }).sort((a, b)=> b.score - a.score || (a.app < b.app ? -1 : 1));
+    if (!appRecommendations.length && options.fallback !== false) appRecommendations = this.popularity.map((rule)=> scoreRule(rule, "popularity"));
+    if (options.minConfidence !== undefined) appRecommendations = appRecommendations.filter((rec)=> rec.confidence >= options.minConfidence);
+    return present(this._rerank(appRecommendations, options), options);
+  }
+
+  /**
+   * <p>Retrieves concrete app name recommendations for this location.</p>
+   *
+   * <p>The app categories are ranked as in getApps(), then the app names inside each category are ranked
+   * on their own place category => app name rules. Categories that came from a fallback level, or names
+   * without enough support at this location, are ranked on the overall popularity of the names instead.</p>
+   *
+   * <p>With options.withScores each recommendation is an object instead of the app name string:</p>
+   * <p>
+   * {name: "App Name", app: "App Category", score: 0.4, support: 0.02, confidence: 0.4, count: 12, level: "exact"}
+   * </p>
+   *
+   * @param {String|Object} location - the category of the location (e.g. 'cafe') or a {pname, pcat} object
+   * @param {Object} options - the options of getApps(), plus:
+   * @param {Number} options.perCategory - the maximum number of app names for each category
+   * @returns {Array<String|Object>} the app names, grouped by category rank and best first within a category
+   */
+  getAppNames(location, options = {}){
+    const pcat = toPlace(location).pcat;
+    const categories = this.getApps(location, Object.assign({}, options, {limit: undefined, withScores: true}));
+    let names = [];
+    for (const category of categories) {
+      const direct = category.level == "place" || category.level == "context" || category.level == "exact";
+      const placeNames = direct && this.nameRules[pcat] && this.nameRules[pcat][category.app];
+      const level = placeNames ? "exact" : "popularity";
+      let rules = placeNames || this.namePopularity[category.app] || [];
+      if (options.perCategory !== undefined) rules = rules.slice(0, options.perCategory);
+      names = names.concat(rules.map((rule)=> Object.assign({name: rule.name}, scoreRule(rule, level), {app: category.app})));
+    }
+    if (options.limit !== undefined) names = names.slice(0, options.limit);
+    return options.withScores ? names : names.map((rec)=> rec.name);
+  }
+
+  /**
+   * <p>Saves the trained model to a file as versioned JSON.</p>
+   *
+   * @param {String} path - the file to write the model to
+   */
+  save(path){
+    fs.writeFileSync(path, jstr(this), RULES_ENCODING);
+  }
+
+  /**
+   * <p>Loads a model previously written by save().</p>
+   *
+   * @param {String} path - the model file to read
+   * @param {Object} options - the logging options of the constructor
+   * @returns {AppRecom} the restored recommender
+   */
+  static load(path, options = {}){
+    return AppRecom.fromJSON(fs.readFileSync(path, RULES_ENCODING), options);
+  }
+
+  /**
+   * <p>Makes a strategy available to options.strategy of train() under a name, and to load() for the models trained with it.</p>
+   *
+   * <p>A strategy is a class whose instances take their options (options.strategyOptions of train()) in the constructor and
+   * implement fit(counts, params), recommend(place) and serialize(), with a static deserialize(json); see RuleStrategy.
+   * The built in strategies are "rules" (RuleStrategy) and "similarity" (SimilarityStrategy).</p>
+   *
+   * @param {String} name - the name of the strategy
+   * @param {Function} Strategy - the strategy class
+   */
+  static registerStrategy(name, Strategy){
+    if (typeof name !== "string" || !name) throw new InvalidParameterError("name", "must be a non-empty string");
+    const methods = ["fit", "recommend", "serialize"];
+    if (typeof Strategy !== "function" || typeof Strategy.deserialize !== "function" || !methods.every((method)=> typeof Strategy.prototype[method] === "function")) {
+      throw new InvalidParameterError("Strategy", "must be a class with fit(), recommend() and serialize() methods and a static deserialize()");
+    }
+    STRATEGIES[name] = Strategy;
+  }
+
+  /**
+   * <p>Serves a recommender over HTTP with a JSON API:</p>
+   * <ul>
+   * <li>GET /recommendations?location=cafe - getApps() with scores; also takes pname, limit, minConfidence, time,
+   * userId, userPrior, exclude (comma separated), diversify and diversity, or lat and lng (with radiusMeters and k) instead of location for getAppsNear()</li>
+   * <li>POST /records - addRecords() with an array of records</li>
+   * <li>POST /feedback - recordFeedback() with {location, app, outcome}</li>
+   * <li>POST /train - train() with {data, min_support, min_conf, test_ratio, options}, answering with the report</li>
+   * <li>GET /health and GET /model - the state, parameters and rule counts of the model</li>
+   * </ul>
+   *
+   * <p>Errors are answered with a status code and {error: {code, message}}, plus the parameter of an invalid
+   * parameter or the problems of invalid records.</p>
+   *
+   * @param {AppRecom|String} model - the recommender, or the path of a model file written by save()
+   * @param {Object} options - server options
+   * @param {Number} options.port - the port to listen on (default 0, any free port)
+   * @param {String} options.host - the host to listen on (default all interfaces)
+   * @returns {Promise<http.Server>} the listening server; close() it to stop serving
+   */
+  static serve(model, options = {}){
+    return new Promise((resolve, reject)=>{
+      const recom = typeof model === "string" ? AppRecom.load(model) : model;
+      if (!(recom instanceof AppRecom)) throw new InvalidParameterError("model", "must be an AppRecom or the path of a saved model");
+      validateCounts({port: options.port}, 0);
+      const server = createServer(recom);
+      server.once("error", reject);
+      server.listen(options.port || 0, options.host, ()=> resolve(server));
+    });
+  }
+
+  /**
+   * <p>Serializes the model: the rules, the itemset and value counts, the training parameters, the recorded feedback and the schema version,
+   * plus the model of the strategy unless it is the rules themselves.</p>
+   *
+   * @returns {Object} the model as a plain object
    */
-  getApps(location){
-    const appRecommendations = this.rules[location] ? this.rules[location] : [];
-    return appRecommendations;
+  toJSON(){
+    return {
+      version: MODEL_VERSION,
+      params: this.params,
+      counts: countsToJSON(this.counts),
+      rules: this.rules,
+      strategy: this.strategy.constructor === RuleStrategy ? undefined : this.strategy.serialize(), // the rules are the model of RuleStrategy
+      placeRules: this.placeRules,
+      contextRules: this.contextRules,
+      taxonomy: this.taxonomy,
+      parentRules: this.parentRules,
+      popularity: this.popularity,
+      nameRules: this.nameRules,
+      namePopularity: this.namePopularity,
+      feedback: this.feedback
+    };
   }
 
   /**
-   * Tests the learning by splitting into training and testing data and verifying results.
+   * <p>Restores a model from the output of toJSON(), either as an object or a JSON string.
+   * An object is copied, so the restored model can change without changing the model it came from.</p>
+   *
+   * @param {Object|String} json - the serialized model
+   * @param {Object} options - the logging options of the constructor
+   * @returns {AppRecom} the restored recommender
+   */
+  static fromJSON(json, options = {}){
+    let model;
+    try {
+      model = parse(typeof json === "string" ? json : jstr(json)); // a copy, so the restored model shares nothing with the object
+    } catch (e) {
+      throw new Error(`Corrupt model: ${e.message}`);
+    }
+    validateModel(model);
+
+    const recom = new AppRecom(options);
+    recom.counts = countsFromJSON(model.counts);
+    recom.rules = restoreRules(model.rules);
+    recom.placeRules = restoreRules(model.placeRules);
+    recom.contextRules = restoreRules(model.contextRules);
+    recom.taxonomy = model.taxonomy;
+    recom.parentRules = restoreRules(model.parentRules);
+    recom.popularity = model.popularity;
+    recom.nameRules = model.nameRules;
+    Object.keys(recom.nameRules).forEach((pcat)=> restoreRules(recom.nameRules[pcat]));
+    recom.namePopularity = model.namePopularity;
+    recom.feedback = model.feedback;
+    recom.params = model.params;
+    recom.strategy = restoreStrategy(model);
+    recom._indexPlaces();
+    recom._indexApps();
+    return recom;
+  }
+
+  /**
+   * Splits the data into training and testing sets, either as shuffled holdout rounds or as k folds.
    * @private
+   * @returns {Array<Object>} splits - {training, testing} pairs
    */
-  _testData(data, min_support, min_conf, test_ratio, rounds){
-    let averageError = 0;
+  _splitData(data, test_ratio, options){
+    const random = options.seed !== undefined ? seededRandom(options.seed) : Math.random;
+    // Stratified splits shuffle each place category on its own so they all keep their share.
+    const groups = options.stratify ? [...groupBy(data, (instance)=> instance.pcat).values()] : [data];
+    const splits = [];
 
-    // Determines an integer # for training instances
-    const numTraining = Math.round((data.length) * test_ratio);
+    if (options.folds) {
+      const folds = [];
+      for (let i = 0; i < options.folds; i++) folds.push([]);
+      let next = 0;
+      for (const group of groups) {
+        for (const instance of shuffle(group.slice(), random)) folds[next++ % options.folds].push(instance); // deal the records round-robin
+      }
+      folds.forEach((testing, i)=>{
+        const training = [].concat(...folds.filter((fold, j)=> j != i));
+        splits.push({training, testing});
+      });
+      return splits;
+    }
 
+    const rounds = options.rounds || 5;
     for (let count = 0; count < rounds; count++) {
-      let shuffleData = data.slice();
-      shuffleData = shuffle(shuffleData);
-
-      // Training and Testing data
-      let trainingSet = [];
-      for (let i = 0; i <= numTraining; i++){
-        const item = shuffleData.pop();
-        trainingSet.push(item);
+      let training = [];
+      let testing = [];
+      for (const group of groups) {
+        const shuffleData = shuffle(group.slice(), random);
+        const numTraining = Math.round(group.length * test_ratio); // Determines an integer # for training instances
+        training = training.concat(shuffleData.slice(0, numTraining));
+        testing = testing.concat(shuffleData.slice(numTraining));
       }
-      let testingItemset = shuffleData;
-      // Training rules
-      const trainingItemset = this._getOptimalItemset(trainingSet, min_support);
-      const trainingRules = this._getRules(trainingSet, trainingItemset, min_conf);
-
-      // Logs
-      if(this.DEBUG) print(`==============\nUNKNOWN TEST\ndata length: ${data.length} - training length: ${trainingSet.length} - testing length: ${testingItemset.length}\n`);
-
-      // Get the error rate for this data.
-      const error = this._testTrainingSet(trainingRules, testingItemset);
-      averageError += error;
-      if(this.DEBUG) print(`Round ${count+1} unknown rate: ${error}`);
+      splits.push({training, testing});
     }
-    averageError = Math.round(averageError / rounds * 100) / 100;
-    if(this.DEBUG) print(`\nAverage unknown rate: ${averageError}`);
+    return splits;
   }
 
   /**
-   * Gets the optimal itemsets with the specified minimum support.
+   * Counts the training set of each split. Every split covers all of the data, so only the testing
+   * set is counted: the training counts are the counts of all of the data minus the testing counts.
    * @private
-   * @param {Array<Object>} data - the data to find itemsets on
-   * @param {Decimal} min_support - the minimum support percentage to include this item set
-   * @returns {Set} optimal itemset
+   * @returns {Array<Object>} the training counts of each split
    */
-  _getOptimalItemset(data, min_support){
-    return this._itemsetPrune(this._countItemsets(data), data.length, min_support);
+  _trainingCounts(counts, splits, decay){
+    return splits.map((split)=> mergeCounts(copyCounts(counts), this._countItemsets(split.testing, decay), -1));
   }
 
   /**
-   * Prunes the itemsets for those who match the min_support
+   * Tests the learning by fitting the strategy of the parameters to the training counts of each split
+   * and verifying its recommendations on the testing set.
    * @private
-   * @param {Map<String, Number>} itemsets - item entry as JSON Array, item frequency
-   * @param {Number} length - length of the original data
-   * @param {Number} min_support - the minimum support accepted for an itemset
-   * @returns {Map<String, Number>} keepers - a map of rules and support
-   */
-  _itemsetPrune(itemsetSupport, length, min_support){
-    const keepers = new Map(itemsetSupport);
-    for ([instance, support] of itemsetSupport){
-      if ((support / length) < min_support) keepers.delete(instance); // keep this value because it satisfies the min support.
-    }
-    if (this.DEBUG) print(`==============\nITEMSET DEBUG\n${jstr([...itemsetSupport]).replace(/],\[\"\[/g, "],\n\[\"\[")}\n==============`); // debug log
-    return keepers; // return the keepers with their supports
+   * @returns {Object} evaluation report over all rounds
+   */
+  _testData(data, splits, splitCounts, params, k){
+    return this._testSplits(data, splits, k, (split, count)=>{
+      const strategy = createStrategy(params);
+      strategy.fit(splitCounts[count], params);
+      return strategy;
+    });
   }
 
   /**
-   * Counts the number of itemsets in the data.
+   * Verifies the recommendations of a recommender trained on each split on its testing set.
+   * fitSplit(split, count) returns the trained recommender of a split, anything with a recommend(place)
+   * method returning scored recommendations, which is how EnsembleRecommender is evaluated alike.
    * @private
-   * @param {Array<Object>} data - the data to count the itemsets on
-   * @returns {Map<String, Number>} itemsetSupport - the itemset numbers
-   */
-  _countItemsets(data){
-    const itemsetSupport = new Map();
-    data.forEach((instance)=>{
-      const mapKey = jstr([instance.pcat, instance.acat]);
-      if (!itemsetSupport.has(mapKey)) itemsetSupport.set(mapKey, 0); // fill in the map value
-      itemsetSupport.set(mapKey, itemsetSupport.get(mapKey) + 1); // increment this instance by one in the map
+   * @returns {Object} evaluation report over all rounds
+   */
+  _testSplits(data, splits, k, fitSplit){
+    const report = {k, rounds: [], averageError: 0, coverage: 0, precisionAtK: 0, recallAtK: 0, categories: {}};
+    const categoryStats = {};
+
+    splits.forEach((split, count)=>{
+      const trainingSet = split.training;
+      const testingItemset = split.testing;
+      // Training model
+      const strategy = fitSplit(split, count);
+
+      // Score this round and fold its category counts into the totals.
+      const stats = this._testTrainingSet(strategy, testingItemset, k);
+      const round = Object.assign({round: count + 1, training: trainingSet.length}, summarize(stats));
+      report.rounds.push(round);
+      for (const pcat of Object.keys(stats.categories)) {
+        categoryStats[pcat] = addStats(categoryStats[pcat] || emptyStats(), stats.categories[pcat]);
+      }
+      this.logger.debug(`Round ${round.round} of ${splits.length}: error ${round.error}, coverage ${round.coverage}, recall@${k} ${round.recall}`, round);
+      this.emit("roundEvaluated", Object.assign({rounds: splits.length, k}, round));
+    });
+
+    report.averageError = average(report.rounds, "error");
+    report.coverage = average(report.rounds, "coverage");
+    report.precisionAtK = average(report.rounds, "precision");
+    report.recallAtK = average(report.rounds, "recall");
+    for (const pcat of Object.keys(categoryStats)) report.categories[pcat] = summarize(categoryStats[pcat]);
+    this.logger.debug(`Average error ${report.averageError} over ${splits.length} rounds`, {averageError: report.averageError, coverage: report.coverage, precisionAtK: report.precisionAtK, recallAtK: report.recallAtK});
+    return report;
+  }
+
+  /**
+   * Fits a recommender with the training parameters, taxonomy and decay of this one to the training set of each split.
+   * @private
+   * @returns {Array<AppRecom>} the recommender of each split
+   */
+  _fitSplits(data, splits){
+    const params = this.params;
+    const decay = decayFor(params);
+    const options = Object.assign({}, params, {taxonomy: this.taxonomy});
+    return this._trainingCounts(this._countItemsets(data, decay), splits, decay).map((counts)=>{
+      const recom = new AppRecom({logger: this.logger, logLevel: "debug"}); // already levelled
+      recom._fit(counts, params.min_support, params.min_conf, params.test_ratio, options, decay);
+      return recom;
     });
-    return itemsetSupport;
   }
 
   /**
-   * Determines the quality of the classifier by testing the trainingSet for the error rate.
+   * Counts the itemsets in the data, along with the frequency of each of their values.
+   * The counts of two sets of records can be merged, which is what lets records be added and removed.
+   * @private
+   * @param {Array<Object>} data - the data to count the itemsets on
+   * @param {Object} decay - {halfLife, reference} to weigh the records by their age, or null
+   * @returns {Object} counts - the record count, their weight and the maps of itemset and value counts
+   */
+  _countItemsets(data, decay = null){
+    return countRecords(data, decay);
+  }
+
+  /**
+   * Logs and emits the size of the counts of all of the data.
+   * @private
+   * @returns {Object} the counts
+   */
+  _counted(counts){
+    const counted = {
+      records: counts.records,
+      weight: counts.weight,
+      itemsets: counts.itemsets.size,
+      placeItemsets: counts.placeItemsets.size,
+      contextItemsets: counts.contextItemsets.size,
+      placeCategories: counts.pcat.size,
+      appCategories: counts.acat.size
+    };
+    this.logger.info(`Counted ${counted.records} records: ${counted.itemsets} itemsets of ${counted.placeCategories} place and ${counted.appCategories} app categories`, counted);
+    this.emit("itemsetsCounted", counted);
+    return counts;
+  }
+
+  /**
+   * Derives every rule table from the stored counts and training parameters.
+   * @private
+   */
+  _deriveRules(){
+    const counts = this.counts;
+    const params = this.params;
+    const thresholds = ruleThresholds(params);
+    this.strategy.fit(counts, params);
+    // RuleStrategy mines these very rules, so they are shared instead of mined again
+    this.rules = this.strategy.constructor === RuleStrategy ? this.strategy.rules :
+      mineRules(pruneItemsets(counts.itemsets, counts.weight, params.min_support), counts.pcat, counts.acat, counts.weight, params.min_conf, thresholds);
+    this.placeRules = mineRules(pruneItemsets(counts.placeItemsets, counts.weight, params.minPlaceSupport), counts.pname, counts.acat, counts.weight, params.min_conf, thresholds);
+    this.contextRules = mineRules(pruneItemsets(counts.contextItemsets, counts.weight, params.minContextSupport), counts.context, counts.acat, counts.weight, params.min_conf, thresholds);
+    this.parentRules = this._getParentRules(counts, this.taxonomy, params.min_support, params.min_conf, thresholds);
+    this.popularity = this._getPopularity(counts);
+    this._getNameRules(counts, params.min_support);
+    this._indexPlaces();
+    this._indexApps();
+    const generated = {
+      records: counts.records,
+      weight: counts.weight,
+      locations: Object.keys(this.rules).length,
+      rules: ruleCount(this.rules),
+      placeRules: ruleCount(this.placeRules),
+      contextRules: ruleCount(this.contextRules),
+      parentRules: ruleCount(this.parentRules),
+      popularity: this.popularity.length
+    };
+    this.logger.debug(`Generated ${generated.rules} rules for ${generated.locations} place categories`, generated);
+    this.emit("rulesGenerated", generated);
+  }
+
+  /**
+   * Rebuilds the spatial index of the places with coordinates, each at the mean position of its records.
+   * @private
+   */
+  _indexPlaces(){
+    const counts = this.counts;
+    this.placeIndex = new GridIndex();
+    for (const [placeKey, located] of counts.located) {
+      const [pname, pcat] = parse(placeKey);
+      const place = {pcat, lat: (counts.latSum.get(placeKey) || 0) / located, lng: (counts.lngSum.get(placeKey) || 0) / located};
+      if (pname !== null) place.pname = pname;
+      this.placeIndex.insert(place);
+    }
+  }
+
+  /**
+   * Rebuilds the vector of each app category over the place categories it is used at, for the similarity of app categories.
+   * @private
+   */
+  _indexApps(){
+    this.appVectors = new Map();
+    for (const [itemset, count] of this.counts.itemsets) {
+      const [pcat, acat] = parse(itemset);
+      if (!this.appVectors.has(acat)) this.appVectors.set(acat, {counts: new Map(), norm: 0});
+      const vector = this.appVectors.get(acat);
+      vector.counts.set(pcat, count);
+      vector.norm += count * count;
+    }
+    for (const vector of this.appVectors.values()) vector.norm = Math.sqrt(vector.norm);
+  }
+
+  /**
+   * The cosine similarity of two app categories from how often they are used at the same place categories (0.0 - 1.0).
    * @private
-   * @returns ratio of incorrectly classified instances
    */
-  _testTrainingSet(rules, testingSet){
-    let total = 0;
-    let numIncorrect = 0;
+  _appSimilarity(a, b){
+    if (a == b) return 1;
+    const vectorA = this.appVectors.get(a);
+    const vectorB = this.appVectors.get(b);
+    if (!vectorA || !vectorB || !vectorA.norm || !vectorB.norm) return 0;
+    let dot = 0;
+    for (const [pcat, count] of vectorA.counts) dot += count * (vectorB.counts.get(pcat) || 0);
+    return dot / (vectorA.norm * vectorB.norm);
+  }
+
+  /**
+   * Determines the quality of the classifier by testing the trainingSet against the testing records.
+   * A record is covered when the strategy has recommendations for its place category.
+   * @private
+   * @param {Object} strategy - the strategy fit to the training set
+   * @param {Array<Object>} testingSet - the held out records
+   * @param {Number} k - the number of top recommendations considered a hit
+   * @returns {Object} raw counts for the whole set and per place category
+   */
+  _testTrainingSet(strategy, testingSet, k){
+    const stats = emptyStats();
+    stats.categories = {};
     for (const instance of testingSet) {
-      if (rules[instance.pcat]) { // if we have a rule for it, lets count it
-        total++;
-        let correct = false;
-        if (this.DEBUG) print(`${total}. place cat: ${instance.pcat}`);
-        correct = rules[instance.pcat].indexOf(instance.acat) != -1; // check the equality of the app part of the itemset
-        if (this.DEBUG) print(`rule apps: ${rules[instance.pcat]}\ninstance app: ${instance.acat}`);
-        if (!correct) numIncorrect++;
-        if (this.DEBUG) print(`${correct ? "FOUND" : "UNKNOWN"}\n`);
+      const categoryStats = stats.categories[instance.pcat] || (stats.categories[instance.pcat] = emptyStats());
+      const outcome = {tested: 1, covered: 0, incorrect: 0, hits: 0, precision: 0};
+      const apps = strategy.recommend({pcat: instance.pcat}).map((rec)=> rec.app);
+      if (apps.length) { // if we have a recommendation for it, lets count it
+        outcome.covered = 1;
+        const correct = apps.indexOf(instance.acat) != -1; // check the equality of the app part of the itemset
+        if (!correct) outcome.incorrect = 1;
+
+        const topK = apps.slice(0, k);
+        if (topK.indexOf(instance.acat) != -1) {
+          outcome.hits = 1;
+          outcome.precision = 1 / topK.length;
+        }
       }
+      addStats(stats, outcome);
+      addStats(categoryStats, outcome);
     }
-    if (this.DEBUG) print(`\nTotal: ${total}\nUnknown: ${numIncorrect}`);
-    const errorrate = numIncorrect / total;
-    return errorrate != 0 ? Math.round(errorrate * 100) / 100 : 0;
+    return stats;
   }
 
   /**
-   * Gets the rules from the itemsets according to the minimum confidence.
+   * Mines rules for every parent category of the taxonomy, so that 'cafe' -> 'food_and_drink' -> 'place'
+   * gets rules for both ancestors. A parent stands in for all of its descendants, while support and
+   * confidence stay relative to all of the data.
    * @private
-   * @param {Array<Object>} ogData - the original data to count value frequencies on
-   * @param {Map<String, Number>} itemsets - the itemsets to fetch rules from.
-   * @param {Decimal} min_conf - the minimum confidence for a rule to be accepted
-   * @returns {Object} rules
-   */
-  _getRules(ogData, itemsets, min_conf){
-    const rules = {};
-    [...itemsets.keys()].forEach((itemset)=>{
-      const arr = parse(itemset);
-      let hyp = arr[0];
-      let con = arr[1];
-      const hypFreq = this._valueFreq(ogData, hyp);
-      const conFreq = this._valueFreq(ogData, con);
-      const count = itemsets.get(itemset);
-      // print(`hypFreq: ${hypFreq} conFreq: ${conFreq}`);
-      if ((conFreq / hypFreq) >= min_conf) this._addRules(rules, hyp, con, count);
-    });
+   * @returns {Object} rules keyed by parent category
+   */
+  _getParentRules(counts, taxonomy, min_support, min_conf, thresholds){
+    const parentCounts = new Map();
+    const parentItemsets = new Map();
+    for (const [pcat, count] of counts.pcat) {
+      ancestorsOf(taxonomy, pcat).forEach((parent)=> increment(parentCounts, parent, count));
+    }
+    for (const [itemset, count] of counts.itemsets) {
+      const [pcat, acat] = parse(itemset);
+      ancestorsOf(taxonomy, pcat).forEach((parent)=> increment(parentItemsets, jstr([parent, acat]), count));
+    }
+    const itemsets = pruneItemsets(parentItemsets, counts.weight, min_support);
+    return mineRules(itemsets, parentCounts, counts.acat, counts.weight, min_conf, thresholds);
+  }
 
-    if (this.DEBUG) print("==============\nRULES DEBUG\n");
-    for (let key of Object.keys(rules)){
-      rules[key].sort((a, b)=> b.count - a.count); // sort the rules on count
-      if (this.DEBUG) print(`${key}:${jstr(rules[key])
-          .replace(/{/g, "{\n   ")
-          .replace(/}/g, "\n   }")
-          .replace(/],/g, "],\n")}\n`);
-      for (const app in rules[key]){
-        rules[key][app] = rules[key][app].app; // strip object and count value
-      }
+  /**
+   * Ranks every app category by its support in the data.
+   * @private
+   * @returns {Array<Object>} popularity - rules for the empty hypothesis, most used first
+   */
+  _getPopularity(counts){
+    const popularity = [...counts.acat].map(([app, count])=> ({app, count, support: count / counts.weight, confidence: count / counts.weight}));
+    return rankRules(popularity);
+  }
+
+  /**
+   * Mines the place category => app name rules used to rank the names inside an app category,
+   * and the overall popularity of the names of each app category.
+   * Name rules are only pruned on min_support; they are ranked, not filtered, on their metrics.
+   * @private
+   */
+  _getNameRules(counts, min_support){
+    const nameRules = {};
+    for (const [itemset, count] of counts.nameItemsets) {
+      if ((count / counts.weight) < min_support) continue;
+      const [pcat, acat, aname] = parse(itemset);
+      const rule = Object.assign({name: aname}, ruleMetrics(count, counts.pcat.get(pcat), counts.names.get(jstr([acat, aname])), counts.weight));
+      const byCategory = nameRules[pcat] || (nameRules[pcat] = {});
+      (byCategory[acat] || (byCategory[acat] = [])).push(rule);
     }
-    if (this.DEBUG) print("\n==============");
-    return rules;
+    Object.keys(nameRules).forEach((pcat)=> Object.keys(nameRules[pcat]).forEach((acat)=> rankRules(nameRules[pcat][acat], "name")));
+
+    const namePopularity = {};
+    for (const [nameKey, count] of counts.names) {
+      const [acat, aname] = parse(nameKey);
+      (namePopularity[acat] || (namePopularity[acat] = [])).push({name: aname, count, support: count / counts.weight, confidence: count / counts.weight});
+    }
+    Object.keys(namePopularity).forEach((acat)=> rankRules(namePopularity[acat], "name"));
+
+    this.nameRules = nameRules;
+    this.namePopularity = namePopularity;
+  }
+
+  /**
+   * Walks the fallback levels until one has recommendations.
+   * @private
+   * @returns {Object} {level, recommendations, path} - the level that answered (null for none), its scored
+   *                   recommendations, and the number of rules of each level tried
+   */
+  _fallback(place, context, options){
+    const mostSpecific = place.pname !== undefined ? "place" : context !== undefined ? "context" : "exact";
+    const levels = options.fallback === false ? [mostSpecific] : (options.fallback || FALLBACK_LEVELS);
+    const path = [];
+    for (const level of levels) {
+      let recommendations = this._levelRules(level, place, context).map((rule)=> scoreRule(rule, level));
+      if (options.minConfidence !== undefined) recommendations = recommendations.filter((rec)=> rec.confidence >= options.minConfidence);
+      if (options.exclude !== undefined) recommendations = recommendations.filter((rec)=> options.exclude.indexOf(rec.app) == -1);
+      path.push({level, rules: recommendations.length});
+      if (recommendations.length) return {level, recommendations, path}; // the first level with recommendations wins
+    }
+    return {level: null, recommendations: [], path};
   }
 
   /**
-   * Returns the frequency of a certain value in the original data
+   * Recomputes the rule of a fallback level for an app category from the counts, with the thresholds it is held to.
    * @private
+   * @returns {Object} the counts, metrics, thresholds and failed thresholds of the rule
    */
-  _valueFreq(ogData, value){
+  _explainRule(level, place, context, app, options){
+    const counts = this.counts;
+    const params = this.params;
+    let hypothesis = null;
+    let hypFreq = 0;
     let count = 0;
-    ogData.forEach((instance)=>{
-      if (instance.pcat == value || instance.acat == value) count++;
+    let min_support = params.min_support;
+    if (level == "place" && place.pname !== undefined) {
+      const key = placeKey(place.pname, place.pcat);
+      hypothesis = `${place.pname} ${place.pcat}`;
+      hypFreq = counts.pname.get(key);
+      count = counts.placeItemsets.get(jstr([key, app]));
+      min_support = params.minPlaceSupport;
+    } else if (level == "context" && context !== undefined) {
+      const contextKey = jstr([place.pcat, context]);
+      hypothesis = `${place.pcat} ${context}`;
+      hypFreq = counts.context.get(contextKey);
+      count = counts.contextItemsets.get(jstr([contextKey, app]));
+      min_support = params.minContextSupport;
+    } else if (level == "exact") {
+      hypothesis = place.pcat;
+      hypFreq = counts.pcat.get(place.pcat);
+      count = counts.itemsets.get(jstr([place.pcat, app]));
+    } else if (level == "parent") {
+      const ancestors = ancestorsOf(this.taxonomy, place.pcat);
+      hypothesis = ancestors.find((ancestor)=> this.parentRules[ancestor]) || ancestors[0] || null;
+      for (const [pcat, pcatCount] of counts.pcat) {
+        if (hypothesis === null || ancestorsOf(this.taxonomy, pcat).indexOf(hypothesis) == -1) continue;
+        hypFreq += pcatCount; // a parent stands in for all of its descendants
+        count += counts.itemsets.get(jstr([pcat, app])) || 0;
+      }
+    } else if (level == "popularity") {
+      hypFreq = counts.weight; // the empty hypothesis holds for every record
+      count = counts.acat.get(app);
+    }
+    count = count || 0;
+    hypFreq = hypFreq || 0;
+
+    const conFreq = counts.acat.get(app) || 0;
+    const metrics = hypFreq ? ruleMetrics(count, hypFreq, conFreq, counts.weight) : {count, support: 0, confidence: 0, lift: 0, leverage: 0, conviction: 0};
+    const thresholds = level == "popularity" ? {} : Object.assign({min_support, min_conf: params.min_conf}, ruleThresholds(params));
+    if (options.minConfidence !== undefined) thresholds.minConfidence = options.minConfidence;
+    const failed = Object.keys(thresholds).filter((name)=>{
+      const value = {min_support: metrics.support, min_conf: metrics.confidence, minLift: metrics.lift, minLeverage: metrics.leverage,
+        minConviction: metrics.conviction, minConfidence: metrics.confidence}[name];
+      return !(value >= thresholds[name]);
     });
-    return count;
+    return {
+      ruleLevel: level,
+      hypothesis,
+      itemsetCount: count,
+      hypothesisFrequency: hypFreq,
+      conclusionFrequency: conFreq,
+      records: counts.weight,
+      support: metrics.support,
+      confidence: metrics.confidence,
+      lift: metrics.lift,
+      leverage: metrics.leverage,
+      conviction: metrics.conviction,
+      thresholds,
+      failed
+    };
   }
 
   /**
-   * Adds the rules to the rules array by their hypothesis conclusion format.
+   * Blends the user's confidence in each app at a place category into the scores of the recommendations.
    * @private
    */
-  _addRules(rules, hyp, con, count){
-    const value = {app: con, count: count};
-    if (rules[hyp]) rules[hyp].push(value); // if a value already exists, append to the rules array
-    else rules[hyp] = [value]; // otherwise set
-    return rules;
+  _personalize(recommendations, userId, pcat, userPrior){
+    const user = String(userId); // counted as a string
+    const userCount = this.counts.users.get(jstr([user, pcat])) || 0;
+    if (!userCount) return recommendations;
+    const weight = userCount / (userCount + userPrior); // shrinks toward the global rules for users with little history
+
+    const personal = new Map();
+    for (const acat of this.counts.acat.keys()) {
+      const count = this.counts.userItemsets.get(jstr([user, pcat, acat]));
+      if (count) personal.set(acat, count / userCount);
+    }
+    const blended = recommendations.map((rec)=> Object.assign({}, rec, {score: (1 - weight) * rec.score + weight * (personal.get(rec.app) || 0)}));
+    for (const [app, confidence] of personal) {
+      if (!recommendations.some((rec)=> rec.app == app)) blended.push({app, score: weight * confidence, support: 0, confidence: 0, count: 0, level: "user"});
+    }
+    return blended.sort((a, b)=> b.score - a.score || (a.app < b.app ? -1 : 1));
   }
-}
 
-// HELPER FUNCTIONS
-function print(str){
-  console.log(str);
+  /**
+   * Lowers the scores of the dismissed app categories at a place, and leaves out the suppressed ones.
+   * @private
+   */
+  _applyFeedback(recommendations, place, options){
+    if (options.feedback === false) return recommendations;
+    const {feedbackPrior, suppressAfter} = feedbackOptions(options);
+    const adjusted = [];
+    for (const rec of recommendations) {
+      const tally = this._feedbackFor(place, rec.app);
+      if (!tally.dismissed) adjusted.push(rec);
+      else if (tally.dismissed - tally.accepted < suppressAfter) adjusted.push(Object.assign({}, rec, {score: rec.score * feedbackFactor(tally, feedbackPrior)}));
+    }
+    return adjusted.sort((a, b)=> b.score - a.score); // stable, so the ties keep their order
+  }
+
+  /**
+   * Leaves out the excluded app categories and, with options.diversify, re-ranks the rest with maximal marginal relevance.
+   * The fallback levels already leave the excluded app categories out, so that a level without any others falls through;
+   * this catches those added later, like the apps of a user.
+   * @private
+   */
+  _rerank(recommendations, options){
+    const excluded = new Set(options.exclude || []);
+    const candidates = excluded.size ? recommendations.filter((rec)=> !excluded.has(rec.app)) : recommendations;
+    if (!options.diversify || candidates.length < 3) return candidates; // the first two slots go the same way regardless
+    const diversity = options.diversity !== undefined ? options.diversity : 0.3;
+    const maxScore = Math.max(...candidates.map((rec)=> rec.score)) || 1;
+    const remaining = candidates.map((rec)=> ({rec, similarity: 0})); // similarity to the closest one ranked so far
+    const ranked = [];
+    while (remaining.length) {
+      let best = 0;
+      let bestValue = -Infinity;
+      remaining.forEach((candidate, i)=>{
+        const value = (1 - diversity) * candidate.rec.score / maxScore - diversity * candidate.similarity;
+        if (value > bestValue) {
+          best = i;
+          bestValue = value;
+        }
+      });
+      const chosen = remaining.splice(best, 1)[0].rec;
+      ranked.push(chosen);
+      remaining.forEach((candidate)=> candidate.similarity = Math.max(candidate.similarity, this._appSimilarity(candidate.rec.app, chosen.app)));
+    }
+    return ranked;
+  }
+
+  /**
+   * Sums the feedback on an app category at the place category and, for a place name, at the place itself.
+   * @private
+   * @returns {Object} {accepted, dismissed}
+   */
+  _feedbackFor(place, app){
+    const tally = {accepted: 0, dismissed: 0};
+    const keys = [placeKey(undefined, place.pcat)];
+    if (place.pname !== undefined) keys.push(placeKey(place.pname, place.pcat));
+    for (const key of keys) {
+      const recorded = this.feedback[key] && this.feedback[key][app];
+      if (!recorded) continue;
+      tally.accepted += recorded.accepted;
+      tally.dismissed += recorded.dismissed;
+    }
+    return tally;
+  }
+
+  /**
+   * Returns the rules a fallback level has for a location. The "exact" level asks the strategy.
+   * @private
+   */
+  _levelRules(level, place, context){
+    if (level == "place") return (place.pname !== undefined && this.placeRules[placeKey(place.pname, place.pcat)]) || [];
+    if (level == "context") return (context !== undefined && this.contextRules[jstr([place.pcat, context])]) || [];
+    if (level == "exact") return this.strategy.recommend(place);
+    if (level == "parent") {
+      const parent = ancestorsOf(this.taxonomy, place.pcat).find((ancestor)=> this.parentRules[ancestor]); // closest parent with rules
+      return parent !== undefined ? this.parentRules[parent] : [];
+    }
+    if (level == "popularity") return this.popularity;
+    throw new Error(`Unknown fallback level: ${level}`);
+  }
 }
 
+// HELPER FUNCTIONS
 function jstr(obj){
   return JSON.stringify(obj);
 }
@@ -236,22 +1294,201 @@ function parse(string){
   return JSON.parse(string);
 }
 
-function shuffle(array) {
-  /*
-    Stole from Christoph on Stack Overflow:
-    https://stackoverflow.com/a/962890
-   */
-  var tmp, current, top = array.length;
+function validateModel(model){
+  if (!model || typeof model !== "object") throw new Error("Corrupt model: expected an object");
+  if (model.version !== MODEL_VERSION) throw new Error(`Incompatible model version ${model.version}, expected ${MODEL_VERSION}`);
+  if (!model.params || typeof model.params !== "object") throw new Error("Corrupt model: missing training parameters");
+  if (!model.counts || typeof model.counts.records !== "number" || typeof model.counts.weight !== "number") throw new Error("Corrupt model: missing counts");
+  const badCounts = COUNT_MAPS.find((name)=> !Array.isArray(model.counts[name]) || !model.counts[name].every((entry)=> Array.isArray(entry) && entry.length == 2 && typeof entry[1] === "number"));
+  if (badCounts) throw new Error(`Corrupt model: counts.${badCounts} must be an array of [key, count] entries`);
+  if (!isRuleTable(model.rules)) throw new Error("Corrupt model: rules must map locations to arrays of rules");
+  if (model.strategy !== undefined && (!model.strategy || typeof model.strategy !== "object")) throw new Error("Corrupt model: strategy must be an object");
+  if (!isRuleTable(model.placeRules)) throw new Error("Corrupt model: placeRules must map places to arrays of rules");
+  if (!isRuleTable(model.contextRules)) throw new Error("Corrupt model: contextRules must map time buckets to arrays of rules");
+  if (!isRuleTable(model.parentRules)) throw new Error("Corrupt model: parentRules must map categories to arrays of rules");
+  if (!model.taxonomy || typeof model.taxonomy !== "object") throw new Error("Corrupt model: taxonomy must be an object");
+  if (!isRuleList(model.popularity)) throw new Error("Corrupt model: popularity must be an array of rules");
+  if (!(model.nameRules && typeof model.nameRules === "object" && Object.keys(model.nameRules).every((pcat)=> isRuleTable(model.nameRules[pcat], "name")))) {
+    throw new Error("Corrupt model: nameRules must map locations to app categories to arrays of rules");
+  }
+  if (!isRuleTable(model.namePopularity, "name")) throw new Error("Corrupt model: namePopularity must map app categories to arrays of rules");
+  if (!(model.feedback && typeof model.feedback === "object" && Object.keys(model.feedback).every((key)=> model.feedback[key] && typeof model.feedback[key] === "object"))) {
+    throw new Error("Corrupt model: feedback must map locations to the feedback on each app category");
+  }
+}
+
+/*
+  Restores the strategy of a model. Models of the rule strategy carry no strategy
+  of their own, as the rules are its model.
+ */
+function restoreStrategy(model){
+  const name = model.params.strategy || "rules";
+  if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) throw new Error(`Unknown strategy ${name}, register it with AppRecom.registerStrategy() before loading the model`);
+  return STRATEGIES[name].deserialize(model.strategy !== undefined ? model.strategy : {rules: model.rules});
+}
+
+function feedbackOptions(options){
+  return {
+    feedbackPrior: options.feedbackPrior !== undefined ? options.feedbackPrior : 5,
+    suppressAfter: options.suppressAfter !== undefined ? options.suppressAfter : 3
+  };
+}
+
+/*
+  The share of the score an app category keeps after its dismissals, offset by its acceptances.
+ */
+function feedbackFactor(tally, feedbackPrior){
+  const total = tally.accepted + tally.dismissed + feedbackPrior;
+  return total ? (tally.accepted + feedbackPrior) / total : 1;
+}
 
-  if(top) while(--top) {
-      current = Math.floor(Math.random() * (top + 1));
-      tmp = array[current];
-      array[current] = array[top];
-      array[top] = tmp;
+/*
+  The number of rules of a rule table, over all of its hypotheses.
+ */
+function ruleCount(rules){
+  return Object.keys(rules).reduce((total, key)=> total + rules[key].length, 0);
+}
+
+/*
+  The logging options of the constructor, passed along by the static training methods.
+ */
+function loggingOptions(options){
+  return {logger: options.logger, logLevel: options.logLevel};
+}
+
+function isRuleList(list, field = "app"){
+  return Array.isArray(list) && list.every((rule)=> rule && typeof rule[field] === "string");
+}
+
+function isRuleTable(rules, field = "app"){
+  return !!rules && typeof rules === "object" && Object.keys(rules).every((key)=> isRuleList(rules[key], field));
+}
+
+/*
+  Applies the limit and output format options shared by the recommendation methods.
+ */
+function present(recommendations, options){
+  const limited = options.limit !== undefined ? recommendations.slice(0, options.limit) : recommendations;
+  return options.withScores ? limited : limited.map((rec)=> rec.app);
+}
+
+/*
+  Accepts a place category string or a {pname, pcat} object as a location.
+ */
+function toPlace(location){
+  return location && typeof location === "object" ? location : {pcat: location};
+}
+
+/*
+  Walks up the taxonomy from a place category, closest parent first.
+ */
+function ancestorsOf(taxonomy, pcat){
+  const ancestors = [];
+  for (let parent = taxonomy[pcat]; parent !== undefined && parent != pcat && ancestors.indexOf(parent) == -1; parent = taxonomy[parent]) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+/*
+  The decay to weigh records with, from the training options or the stored parameters,
+  or null without a halfLife. The reference time defaults to the latest timestamp of
+  the records, so the newest weigh 1, or to now when none has a timestamp.
+ */
+function decayFor(options, records = []){
+  if (!options.halfLife) return null;
+  let reference = options.decayReference;
+  if (reference === undefined) {
+    reference = records.reduce((latest, record)=> record.timestamp !== undefined ? Math.max(latest, +record.timestamp) : latest, -Infinity);
+    if (reference == -Infinity) reference = Date.now();
   }
+  return {halfLife: options.halfLife, reference: +reference};
+}
+
+/*
+  Training parameters as stored with the model and handed to the strategy.
+ */
+function trainingParams(min_support, min_conf, test_ratio, options){
+  const minPlaceSupport = options.minPlaceSupport !== undefined ? options.minPlaceSupport : min_support;
+  const minContextSupport = options.minContextSupport !== undefined ? options.minContextSupport : min_support;
+  const params = Object.assign({min_support, min_conf, test_ratio, minPlaceSupport, minContextSupport}, ruleThresholds(options));
+  params.strategy = options.strategy || "rules";
+  if (options.strategyOptions !== undefined) params.strategyOptions = options.strategyOptions;
+  return params;
+}
+
+/*
+  Instantiates the strategy named by training options or parameters, "rules" by default.
+ */
+function createStrategy(options){
+  const name = options.strategy || "rules";
+  if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) throw new InvalidParameterError("strategy", `must be one of ${Object.keys(STRATEGIES).join(", ")}, got ${name}`);
+  if (options.strategyOptions !== undefined && (!options.strategyOptions || typeof options.strategyOptions !== "object")) throw new InvalidParameterError("strategyOptions", "must be an object");
+  return new STRATEGIES[name](options.strategyOptions || {});
+}
+
+/*
+  Turns a rule, or a recommendation of the strategy, into a scored recommendation. The rules
+  of a location share their hypothesis, so ranking on confidence keeps the count order.
+ */
+function scoreRule(rule, level){
+  return {
+    app: rule.app,
+    score: rule.score !== undefined ? rule.score : rule.confidence,
+    support: rule.support,
+    confidence: rule.confidence,
+    count: rule.count,
+    level
+  };
+}
+
+function emptyStats(){
+  return {tested: 0, covered: 0, incorrect: 0, hits: 0, precision: 0};
+}
+
+function addStats(stats, other){
+  stats.tested += other.tested;
+  stats.covered += other.covered;
+  stats.incorrect += other.incorrect;
+  stats.hits += other.hits;
+  stats.precision += other.precision;
+  return stats;
+}
+
+/*
+  Turns raw evaluation counts into rates. The error (unknown) rate and precision
+  only consider covered records; recall considers every tested record.
+ */
+function summarize(stats){
+  return {
+    testing: stats.tested,
+    covered: stats.covered,
+    error: rate(stats.incorrect, stats.covered),
+    coverage: rate(stats.covered, stats.tested),
+    precision: rate(stats.precision, stats.covered),
+    recall: rate(stats.hits, stats.tested)
+  };
+}
+
+function rate(numerator, denominator){
+  return denominator ? Math.round(numerator / denominator * 100) / 100 : 0;
+}
+
+function average(rows, key){
+  if (!rows.length) return 0;
+  return Math.round(rows.reduce((sum, row)=> sum + row[key], 0) / rows.length * 100) / 100;
+}
 
-  return array;
+function groupBy(array, keyOf){
+  const groups = new Map();
+  array.forEach((item)=>{
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
 }
 
 // Module export
 export default AppRecom;
+export {InvalidRecordError, InvalidParameterError, RuleStrategy, SimilarityStrategy, EnsembleRecommender};
@@ -0,0 +1,163 @@
+import {InvalidParameterError} from "./errors";
+import {validateRecords, validateRatios, validateCounts, validateQueryOptions} from "./validation";
+
+// CONSTANTS
+const FUSIONS = ["score", "rrf"];
+
+/**
+ * <p>EnsembleRecommender combines the recommendations of several trained AppRecom models, each with a weight.</p>
+ *
+ * <p>Every member answers getApps() with its own options, which is how one model can take part both with its rules
+ * and with its popularity alone ({fallback: ["popularity"]}), next to models trained with other strategies. The scored
+ * recommendations of the members are then fused into one ranking:</p>
+ * <ul>
+ * <li>"score" - each member's scores are min-max normalized to 0 - 1, and an app category scores the weighted mean of
+ * its normalized scores, 0 for members that do not recommend it</li>
+ * <li>"rrf" - reciprocal-rank fusion: an app category scores the sum of weight / (rrfK + rank) over the members
+ * recommending it, which only looks at the order of each member's recommendations</li>
+ * </ul>
+ */
+class EnsembleRecommender{
+
+  /**
+   * Instantiate an ensemble of trained models.
+   * @param {Array<Object>} members - {model, weight, name, options}: a trained AppRecom, its weight (default 1), a name
+   *                                  for the scored recommendations (default "member1", "member2", ...) and its getApps() options
+   * @param {Object} options - fusion options
+   * @param {String} options.fusion - "score" (default) or "rrf"
+   * @param {Number} options.rrfK - the rank offset of reciprocal-rank fusion, damping the lead of the top ranks (default 60)
+   */
+  constructor(members, options = {}){
+    if (!Array.isArray(members) || !members.length) throw new InvalidParameterError("members", "must be a non-empty array of {model, weight}");
+    if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+    this.members = members.map((member, i)=>{
+      if (!member || !member.model || typeof member.model.getApps !== "function") throw new InvalidParameterError(`members[${i}].model`, "must be an AppRecom");
+      if (!member.model.params) throw new InvalidParameterError(`members[${i}].model`, "must be trained");
+      const weight = member.weight !== undefined ? member.weight : 1;
+      if (!(typeof weight === "number" && weight >= 0)) throw new InvalidParameterError(`members[${i}].weight`, `must be a number of at least 0, got ${weight}`);
+      if (member.options !== undefined) validateQueryOptions(member.options);
+      return {model: member.model, weight, name: member.name !== undefined ? String(member.name) : `member${i + 1}`, options: member.options || {}};
+    });
+    if (!this.members.some((member)=> member.weight > 0)) throw new InvalidParameterError("members", "must have a weight above 0");
+    this.fusion = options.fusion || "score";
+    if (FUSIONS.indexOf(this.fusion) == -1) throw new InvalidParameterError("fusion", `must be one of ${FUSIONS.join(", ")}, got ${this.fusion}`);
+    this.rrfK = options.rrfK !== undefined ? options.rrfK : 60;
+    validateCounts({rrfK: this.rrfK}, 0);
+  }
+
+  /**
+   * <p>Retrieves the fused app category recommendations for a location, like AppRecom.getApps().</p>
+   *
+   * <p>The options are handed to every member, under the member's own options. With options.withScores each
+   * recommendation names the rank and score it had with each member that recommended it:</p>
+   * <p>
+   * {app: "App Category", score: 0.8, members: [{name: "member1", rank: 1, score: 0.9}]}
+   * </p>
+   *
+   * @param {String|Object} location - the category of the location (e.g. 'cafe') or a {pname, pcat} object
+   * @param {Object} options - the options of AppRecom.getApps()
+   * @param {Number} options.limit - the maximum number of recommendations
+   * @param {Boolean} options.withScores - return scored objects instead of app category strings
+   * @returns {Array<String|Object>} the recommendations, best first
+   */
+  getApps(location, options = {}){
+    validateQueryOptions(options);
+    const fused = this._fuse(this.members.map((member)=> member.model), location, options);
+    const limited = options.limit !== undefined ? fused.slice(0, options.limit) : fused;
+    return options.withScores ? limited : limited.map((rec)=> rec.app);
+  }
+
+  /**
+   * <p>Evaluates the ensemble on held out data with the procedure of AppRecom.evaluate(): on each holdout round or fold,
+   * every member is trained again on the training set with its own parameters, and the fused recommendations for the
+   * place category of each testing record are scored. The members answer with their fallback levels, so a record is
+   * covered when any level of any member has recommendations.</p>
+   *
+   * <p>The report is shaped like that of AppRecom.evaluate(), plus the average metrics of each member on the same splits:</p>
+   * <p>
+   * members: [{name, averageError, coverage, precisionAtK, recallAtK}]
+   * </p>
+   *
+   * @param {Array<Object>} data - data to evaluate the ensemble on.
+   * @param {Object} options - the evaluation options of AppRecom.evaluate()
+   * @param {Number} options.test_ratio - ratio of training data to test data for holdout rounds (default 0.8)
+   * @param {Number} options.k - the number of top recommendations scored by precision@k and recall@k (default 3)
+   * @param {Number} options.rounds - the number of holdout rounds (default 5)
+   * @param {Number} options.folds - the number of folds for k-fold cross-validation
+   * @param {Boolean} options.stratify - keep the share of each place category equal across splits
+   * @param {Number} options.seed - seed for the shuffling
+   * @param {Boolean} options.skipInvalid - leave invalid records out and report them instead of throwing
+   * @returns {Object} evaluation report
+   */
+  evaluate(data, options = {}){
+    if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+    const test_ratio = options.test_ratio !== undefined ? options.test_ratio : 0.8;
+    const k = options.k || 3;
+    validateRatios({test_ratio});
+    validateCounts({k: options.k, rounds: options.rounds}, 1);
+    validateCounts({folds: options.folds}, 2);
+    const {records, invalid} = validateRecords(data, options.skipInvalid);
+
+    const host = this.members[0].model; // every member splits alike, so any of them can split and test
+    const splits = host._splitData(records, test_ratio, options);
+    const fitted = this.members.map((member)=> member.model._fitSplits(records, splits)); // [member][split]
+    const ensembleOf = (split, count)=> ({recommend: (place)=> this._fuse(fitted.map((models)=> models[count]), place, {})});
+    const report = host._testSplits(records, splits, k, ensembleOf);
+
+    report.members = this.members.map((member, i)=>{
+      const memberOf = (split, count)=> ({recommend: (place)=> fitted[i][count].getApps(place, Object.assign({}, member.options, {withScores: true}))});
+      const memberReport = host._testSplits(records, splits, k, memberOf);
+      return {name: member.name, averageError: memberReport.averageError, coverage: memberReport.coverage,
+        precisionAtK: memberReport.precisionAtK, recallAtK: memberReport.recallAtK};
+    });
+    report.mode = options.folds ? "kfold" : "holdout";
+    report.seed = options.seed !== undefined ? options.seed : null;
+    report.invalid = invalid;
+    return report;
+  }
+
+  /**
+   * Fuses the scored recommendations of the models standing in for the members, in the order of the members.
+   * @private
+   * @returns {Array<Object>} the fused recommendations {app, score, members}, best first
+   */
+  _fuse(models, location, options){
+    const query = Object.assign({}, options);
+    delete query.limit; // every recommendation of a member counts towards the fusion
+    const fused = new Map();
+    let totalWeight = 0;
+    this.members.forEach((member, i)=>{
+      totalWeight += member.weight;
+      const recommendations = models[i].getApps(location, Object.assign({}, query, member.options, {withScores: true}));
+      const scores = this.fusion == "rrf" ? reciprocalRanks(recommendations, this.rrfK) : normalizedScores(recommendations);
+      recommendations.forEach((rec, rank)=>{
+        const entry = fused.get(rec.app) || {app: rec.app, score: 0, members: []};
+        entry.score += member.weight * scores[rank];
+        entry.members.push({name: member.name, rank: rank + 1, score: rec.score});
+        fused.set(rec.app, entry);
+      });
+    });
+    const recommendations = [...fused.values()];
+    if (this.fusion == "score") recommendations.forEach((rec)=> rec.score /= totalWeight);
+    return recommendations.sort((a, b)=> b.score - a.score || (a.app < b.app ? -1 : 1));
+  }
+}
+
+// HELPER FUNCTIONS
+/*
+  Min-max normalizes the scores of a member's recommendations to 0 - 1.
+  When they all score the same, they all get 1.
+ */
+function normalizedScores(recommendations){
+  const scores = recommendations.map((rec)=> rec.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  return scores.map((score)=> max > min ? (score - min) / (max - min) : 1);
+}
+
+function reciprocalRanks(recommendations, rrfK){
+  return recommendations.map((rec, rank)=> 1 / (rrfK + rank + 1));
+}
+
+// Module export
+export default EnsembleRecommender;
@@ -0,0 +1,108 @@
+// CONSTANTS
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * <p>GridIndex is an in-memory spatial index over items with lat/lng coordinates.</p>
+ *
+ * <p>Items are bucketed into a grid of cells a fixed number of degrees wide, so a radius
+ * query only has to measure the items in the cells that the radius overlaps. The columns wrap
+ * around at ±180°, so a query near the antimeridian finds the items on the other side of it.</p>
+ */
+class GridIndex{
+
+  /**
+   * Instantiate an empty index.
+   * @param {Decimal} cellDegrees - the width and height of a grid cell in degrees (default 0.01, about 1km)
+   */
+  constructor(cellDegrees = 0.01){
+    this.cellDegrees = cellDegrees;
+    this.columns = Math.round(360 / cellDegrees); // the number of columns around the globe
+    this.cells = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * <p>Adds an item to the index.</p>
+   *
+   * @param {Object} item - anything with numeric lat and lng properties
+   */
+  insert(item){
+    const key = cellKey(this._cell(item.lat), this._column(this._cell(item.lng)));
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(item);
+    this.size++;
+  }
+
+  /**
+   * <p>Finds the items within a radius of a point, closest first.</p>
+   *
+   * @param {Decimal} lat - latitude of the point
+   * @param {Decimal} lng - longitude of the point
+   * @param {Number} radiusMeters - the search radius in meters
+   * @param {Number} k - the maximum number of items to return
+   * @returns {Array<Object>} matches - {item, distance} pairs, distance in meters
+   */
+  near(lat, lng, radiusMeters, k = Infinity){
+    const latDelta = radiusMeters / METERS_PER_DEGREE;
+    const lngDelta = radiusMeters / (METERS_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 1e-6));
+    const rows = [this._cell(lat - latDelta), this._cell(lat + latDelta)];
+    const cols = [this._cell(lng - lngDelta), this._cell(lng + lngDelta)];
+    if (cols[1] - cols[0] + 1 > this.columns) cols[1] = cols[0] + this.columns - 1; // the radius spans every column
+
+    // Scan every item instead when the radius spans more cells than there are items.
+    let candidates = [];
+    if ((rows[1] - rows[0] + 1) * (cols[1] - cols[0] + 1) > this.size) {
+      for (const items of this.cells.values()) candidates = candidates.concat(items);
+    } else {
+      for (let row = rows[0]; row <= rows[1]; row++) {
+        for (let col = cols[0]; col <= cols[1]; col++) {
+          const items = this.cells.get(cellKey(row, this._column(col)));
+          if (items) candidates = candidates.concat(items);
+        }
+      }
+    }
+
+    return candidates
+      .map((item)=> ({item, distance: distanceMeters(lat, lng, item.lat, item.lng)}))
+      .filter((match)=> match.distance <= radiusMeters)
+      .sort((a, b)=> a.distance - b.distance)
+      .slice(0, k);
+  }
+
+  /**
+   * Returns the grid row or column of a coordinate.
+   * @private
+   */
+  _cell(degrees){
+    return Math.floor(degrees / this.cellDegrees);
+  }
+
+  /**
+   * Wraps a column around the globe, so the columns past 180° are those from -180° on.
+   * @private
+   */
+  _column(col){
+    return ((col % this.columns) + this.columns) % this.columns;
+  }
+}
+
+// HELPER FUNCTIONS
+function cellKey(row, col){
+  return `${row}:${col}`;
+}
+
+/*
+  Great-circle distance between two points with the haversine formula.
+ */
+function distanceMeters(lat1, lng1, lat2, lng2){
+  const toRad = (degrees)=> degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Module export
+export default GridIndex;
@@ -0,0 +1,68 @@
+import {pruneItemsets, mineRules, ruleThresholds, restoreRules} from "./rules";
+
+/**
+ * <p>RuleStrategy recommends the app categories of the association rules place category => app category.</p>
+ *
+ * <p>It is the default strategy of AppRecom: itemsets are pruned on min_support, and the rules on min_conf and the
+ * minLift, minLeverage and minConviction thresholds. A place category without a rule gets no recommendations,
+ * which leaves the place category to the fallback levels of AppRecom.</p>
+ *
+ * <p>Every strategy implements the same interface:</p>
+ * <ul>
+ * <li>fit(counts, params) - derives the model from the counts of the records and the training parameters</li>
+ * <li>recommend(place) - the scored recommendations {app, score, support, confidence, count} for a {pcat, pname} place, best first</li>
+ * <li>serialize() - the model as a plain object, which the static deserialize(json) restores</li>
+ * </ul>
+ */
+class RuleStrategy{
+
+  /**
+   * Instantiate a strategy without rules.
+   * @param {Object} options - RuleStrategy has no options of its own; the thresholds are training parameters
+   */
+  constructor(options = {}){
+    this.rules = {};
+  }
+
+  /**
+   * <p>Mines the rules from the counts.</p>
+   *
+   * @param {Object} counts - the counts of the records, see counts.js
+   * @param {Object} params - the training parameters: min_support, min_conf and the rule thresholds
+   */
+  fit(counts, params){
+    const itemsets = pruneItemsets(counts.itemsets, counts.weight, params.min_support);
+    this.rules = mineRules(itemsets, counts.pcat, counts.acat, counts.weight, params.min_conf, ruleThresholds(params));
+  }
+
+  /**
+   * <p>Recommends the conclusions of the rules of the place category, scored on their confidence.</p>
+   *
+   * @param {Object} place - {pcat, pname}
+   * @returns {Array<Object>} recommendations - {app, score, support, confidence, count}, best first
+   */
+  recommend(place){
+    return (this.rules[place.pcat] || []).map((rule)=> ({app: rule.app, score: rule.confidence, support: rule.support, confidence: rule.confidence, count: rule.count}));
+  }
+
+  /**
+   * @returns {Object} the rules as a plain object
+   */
+  serialize(){
+    return {rules: this.rules};
+  }
+
+  /**
+   * Restores a strategy from the output of serialize().
+   * @param {Object} json - the serialized strategy
+   * @returns {RuleStrategy} strategy
+   */
+  static deserialize(json){
+    const strategy = new RuleStrategy();
+    strategy.rules = restoreRules(json.rules || {});
+    return strategy;
+  }
+}
+
+// Module export
+export default RuleStrategy;
@@ -0,0 +1,127 @@
+import {pruneItemsets} from "./rules";
+import {validateCounts, validateRatios} from "./validation";
+
+/**
+ * <p>SimilarityStrategy recommends from the place categories with the most similar app usage, in the
+ * manner of item-item collaborative filtering.</p>
+ *
+ * <p>Each place category is a vector of its counts per app category, and two place categories are as similar as the cosine of their vectors. The score of an app
+ * category at a place category is the mean of its confidence at the place category itself and at its most
+ * similar neighbors, weighted by their similarity. Place categories with few records borrow from those that
+ * are used alike, and app categories used at similar places are recommended without a rule of their own.</p>
+ *
+ * <p>It implements the interface of RuleStrategy, plus explain(place, app).</p>
+ */
+class SimilarityStrategy{
+
+  /**
+   * Instantiate a strategy that has not been fit.
+   * @param {Object} options - similarity options
+   * @param {Number} options.neighbors - the number of similar place categories blended in (default 10)
+   * @param {Decimal} options.minSimilarity - leave out neighbors less similar than this (0.0 - 1.0, default 0)
+   * @param {Decimal} options.minSupport - leave out the itemsets below this support (0.0 - 1.0, default 0). It is not
+   *                                       the min_support of the rules, so that sparse place categories still get a vector
+   */
+  constructor(options = {}){
+    validateCounts({neighbors: options.neighbors}, 1);
+    validateRatios({minSimilarity: options.minSimilarity, minSupport: options.minSupport});
+    this.neighbors = options.neighbors || 10;
+    this.minSimilarity = options.minSimilarity || 0;
+    this.minSupport = options.minSupport || 0;
+    this.similar = {};
+    this.recommendations = {};
+  }
+
+  /**
+   * <p>Measures the similarity of every pair of place categories and scores the app categories of each.</p>
+   *
+   * @param {Object} counts - the counts of the records, see counts.js
+   * @param {Object} params - the training parameters, which the similarity does not use
+   */
+  fit(counts, params){
+    const vectors = new Map();
+    for (const [itemset, count] of pruneItemsets(counts.itemsets, counts.weight, this.minSupport)) {
+      const [pcat, acat] = JSON.parse(itemset);
+      if (!vectors.has(pcat)) vectors.set(pcat, new Map());
+      vectors.get(pcat).set(acat, count);
+    }
+    const norms = new Map();
+    for (const [pcat, vector] of vectors) norms.set(pcat, Math.sqrt([...vector.values()].reduce((sum, count)=> sum + count * count, 0)));
+
+    this.similar = {};
+    this.recommendations = {};
+    for (const [pcat, vector] of vectors) {
+      const similar = [];
+      for (const [other, otherVector] of vectors) {
+        if (other == pcat) continue;
+        let dot = 0;
+        for (const [acat, count] of vector) dot += count * (otherVector.get(acat) || 0);
+        const similarity = dot / (norms.get(pcat) * norms.get(other));
+        if (similarity > 0 && similarity >= this.minSimilarity) similar.push([other, similarity]);
+      }
+      similar.sort((a, b)=> b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+      this.similar[pcat] = [[pcat, 1]].concat(similar.slice(0, this.neighbors)); // a place category is its own closest neighbor
+
+      // Similarity weighted mean of the confidence of each app category at the neighbors
+      const scores = new Map();
+      let totalSimilarity = 0;
+      for (const [neighbor, similarity] of this.similar[pcat]) {
+        totalSimilarity += similarity;
+        const pcatCount = counts.pcat.get(neighbor);
+        for (const [acat, count] of vectors.get(neighbor)) scores.set(acat, (scores.get(acat) || 0) + similarity * count / pcatCount);
+      }
+      this.recommendations[pcat] = [...scores].map(([app, score])=>{
+        const count = vector.get(app) || 0;
+        return {app, score: score / totalSimilarity, support: count / counts.weight, confidence: count / counts.pcat.get(pcat), count};
+      }).sort((a, b)=> b.score - a.score || (a.app < b.app ? -1 : 1));
+    }
+  }
+
+  /**
+   * <p>Recommends the app categories of the place category and its neighbors, scored on their blended confidence.
+   * support, confidence and count are those of the place category itself, and 0 for app categories it only borrows.</p>
+   *
+   * @param {Object} place - {pcat, pname}
+   * @returns {Array<Object>} recommendations - {app, score, support, confidence, count}, best first
+   */
+  recommend(place){
+    return (this.recommendations[place.pcat] || []).map((rec)=> Object.assign({}, rec));
+  }
+
+  /**
+   * <p>Lists the neighbors that were blended into the score of an app category at a place category.</p>
+   *
+   * @param {Object} place - {pcat, pname}
+   * @param {String} app - the app category
+   * @returns {Object} {neighbors: [{pcat, similarity, confidence}]}
+   */
+  explain(place, app){
+    const neighbors = (this.similar[place.pcat] || []).map(([pcat, similarity])=>{
+      const rec = this.recommendations[pcat].find((candidate)=> candidate.app == app);
+      return {pcat, similarity, confidence: rec ? rec.confidence : 0};
+    });
+    return {neighbors};
+  }
+
+  /**
+   * @returns {Object} the options, neighbors and scored recommendations as a plain object
+   */
+  serialize(){
+    return {neighbors: this.neighbors, minSimilarity: this.minSimilarity, minSupport: this.minSupport, similar: this.similar, recommendations: this.recommendations};
+  }
+
+  /**
+   * Restores a strategy from the output of serialize().
+   * @param {Object} json - the serialized strategy
+   * @returns {SimilarityStrategy} strategy
+   */
+  static deserialize(json){
+    const strategy = new SimilarityStrategy({neighbors: json.neighbors, minSimilarity: json.minSimilarity, minSupport: json.minSupport});
+    strategy.similar = json.similar || {};
+    strategy.recommendations = json.recommendations || {};
+    return strategy;
+  }
+}
+
+// Module export
+export default SimilarityStrategy;
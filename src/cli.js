@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import AppRecom from "./AppRecom";
+import {readCSV, readNDJSON} from "./loaders";
+
+// CONSTANTS
+const DATA_ENCODING = "utf-8";
+const DAY_MILLISECONDS = 24 * 60 * 60 * 1000;
+const USAGE = `Usage: apprecom <command> [options]
+
+Commands:
+  train <data> -o <model>      train on a .json, .csv or .ndjson file and save the model
+  evaluate <data>              evaluate the parameters on held out data
+  tune <data> -o <model>       cross-validate a grid of parameters and save the best model
+  recommend <model> <location> recommend app categories for a place category
+  inspect <model>              show the parameters and rules of a model
+  serve <model>                serve the model over HTTP
+
+Options:
+  --min-support <n>   minimum itemset support, 0 - 1 (default 0.02)
+  --min-conf <n>      minimum rule confidence, 0 - 1 (default 0.8)
+  --test-ratio <n>    ratio of training to test data, 0 - 1 (default 0.8)
+  --folds <n>         evaluate with k-fold cross-validation
+  --support-grid <l>  the min_support values tune tries, e.g. 0.01,0.02,0.05
+  --conf-grid <l>     the min_conf values tune tries, e.g. 0.3,0.5,0.8
+  --metric <name>     what tune ranks by: recallAtK, precisionAtK, coverage or averageError
+  --seed <n>          seed the evaluation shuffling
+  --stratify          stratify the evaluation splits by place category
+  --half-life <days>  weigh records by their timestamp, halving the weight every so many days
+  --strategy <name>   what recommends for a place category: rules (default) or similarity
+  --columns <map>     CSV columns of the record fields, e.g. pcat=place_category,acat=app_category
+  --skip-invalid      leave invalid records out instead of failing
+  -o, --output <file> where train saves the model
+  --pname <name>      the place name to recommend for
+  --limit <n>         the maximum number of recommendations
+  --exclude <l>       app categories recommend leaves out, e.g. games,social
+  --diversify         re-rank the recommendations so the top ones are not alike
+  --port <n>          the port serve listens on (default 8080)
+  --json              print JSON for scripting
+  -h, --help          show this help`;
+const FLAGS = ["stratify", "skip-invalid", "diversify", "json", "help"];
+const ALIASES = {o: "output", h: "help"};
+
+/*
+  The apprecom command-line tool, a thin wrapper around the AppRecom class.
+  Results go to stdout, as text or with --json as JSON; problems go to stderr.
+ */
+function main(argv){
+  const args = parseArgs(argv);
+  if (args.options.help || !args.command) {
+    print(USAGE);
+    return Promise.resolve();
+  }
+  const command = COMMANDS[args.command];
+  if (!command) return Promise.reject(new Error(`Unknown command: ${args.command}\n\n${USAGE}`));
+  // commands either return a promise or throw, so settle both the same way
+  return Promise.resolve().then(()=> command(args.positional, args.options));
+}
+
+const COMMANDS = {
+  train(positional, options){
+    const output = options.output;
+    if (!positional[0] || !output) throw new Error("train needs a data file and -o <model>");
+    return readData(positional[0], options).then((data)=>{
+      const recom = new AppRecom();
+      const report = recom.train(data, number(options, "min-support", 0.02), number(options, "min-conf", 0.8), number(options, "test-ratio", 0.8), evaluationOptions(options));
+      recom.save(output);
+      if (options.json) return printJSON({model: output, report});
+      print(`Trained on ${recom.counts.records} records, saved to ${output}`);
+      printReport(report);
+    });
+  },
+
+  evaluate(positional, options){
+    if (!positional[0]) throw new Error("evaluate needs a data file");
+    return readData(positional[0], options).then((data)=>{
+      const report = new AppRecom().evaluate(data, number(options, "min-support", 0.02), number(options, "min-conf", 0.8), number(options, "test-ratio", 0.8), evaluationOptions(options));
+      if (options.json) return printJSON(report);
+      printReport(report);
+    });
+  },
+
+  tune(positional, options){
+    const output = options.output;
+    if (!positional[0] || !output) throw new Error("tune needs a data file and -o <model>");
+    return readData(positional[0], options).then((data)=>{
+      const tuning = AppRecom.tune(data, Object.assign(evaluationOptions(options), {
+        supportGrid: numbers(options, "support-grid"),
+        confGrid: numbers(options, "conf-grid"),
+        metric: options.metric
+      }));
+      tuning.model.save(output);
+      if (options.json) return printJSON({model: output, best: tuning.best, results: tuning.results});
+      print(`Best of ${tuning.results.length} by ${tuning.metric}: min_support ${tuning.best.min_support}, min_conf ${tuning.best.min_conf}, saved to ${output}\n`);
+      print("rank\tsupport\tconf\terror\tcoverage\tprecision\trecall");
+      tuning.results.forEach((row)=> print([row.rank, row.min_support, row.min_conf, row.averageError, row.coverage, row.precisionAtK, row.recallAtK].join("\t")));
+    });
+  },
+
+  recommend(positional, options){
+    if (!positional[0] || !positional[1]) throw new Error("recommend needs a model file and a location");
+    const recom = AppRecom.load(positional[0]);
+    const location = options.pname !== undefined ? {pname: options.pname, pcat: positional[1]} : positional[1];
+    const limit = options.limit !== undefined ? number(options, "limit") : undefined;
+    const exclude = options.exclude !== undefined ? options.exclude.split(",").map((app)=> app.trim()) : undefined;
+    const recommendations = recom.getApps(location, {limit, exclude, diversify: !!options.diversify, withScores: true});
+    if (options.json) return printJSON(recommendations);
+    if (!recommendations.length) return print("No recommendations");
+    recommendations.forEach((rec, i)=> print(`${i + 1}. ${rec.app}\tscore ${rec.score.toFixed(2)}\t(${rec.level})`));
+  },
+
+  inspect(positional, options){
+    if (!positional[0]) throw new Error("inspect needs a model file");
+    const recom = AppRecom.load(positional[0]);
+    const locations = Object.keys(recom.rules).sort();
+    const summary = {
+      params: recom.params,
+      records: recom.counts.records,
+      locations: locations.length,
+      rules: locations.reduce((total, location)=> total + recom.rules[location].length, 0),
+      placeRules: Object.keys(recom.placeRules).length,
+      parentRules: Object.keys(recom.parentRules).length
+    };
+    if (options.json) return printJSON(Object.assign(summary, {rulesByLocation: recom.rules}));
+    print(`Records: ${summary.records}`);
+    print(`Parameters: ${Object.keys(summary.params).map((key)=> `${key}=${summary.params[key]}`).join(" ")}`);
+    print(`Rules: ${summary.rules} for ${summary.locations} place categories, ${summary.placeRules} place names, ${summary.parentRules} parent categories\n`);
+    locations.forEach((location)=> print(`${location}: ${recom.rules[location].map((rule)=> `${rule.app} (${rule.confidence.toFixed(2)})`).join(", ")}`));
+  },
+
+  serve(positional, options){
+    if (!positional[0]) throw new Error("serve needs a model file");
+    return AppRecom.serve(positional[0], {port: number(options, "port", 8080)}).then((server)=>{
+      print(`Serving ${positional[0]} on port ${server.address().port}`);
+    });
+  }
+};
+
+// HELPER FUNCTIONS
+function parseArgs(argv){
+  const args = {command: null, positional: [], options: {}};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith("-")) {
+      const name = arg.replace(/^-+/, "");
+      const option = ALIASES[name] || name;
+      args.options[option] = FLAGS.indexOf(option) != -1 ? true : argv[++i];
+    } else if (!args.command) args.command = arg;
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+function number(options, name, fallback){
+  if (options[name] === undefined) return fallback;
+  const value = Number(options[name]);
+  if (Number.isNaN(value)) throw new Error(`--${name} must be a number, got ${options[name]}`);
+  return value;
+}
+
+function numbers(options, name){
+  if (options[name] === undefined) return undefined;
+  return options[name].split(",").map((value)=> number({[name]: value}, name));
+}
+
+function evaluationOptions(options){
+  return {
+    folds: number(options, "folds"),
+    seed: number(options, "seed"),
+    stratify: !!options.stratify,
+    skipInvalid: !!options["skip-invalid"],
+    strategy: options.strategy,
+    halfLife: options["half-life"] !== undefined ? number(options, "half-life") * DAY_MILLISECONDS : undefined
+  };
+}
+
+/*
+  Reads the records of a .json array, or streams a .csv or .ndjson file.
+  Malformed lines of the streamed formats are reported on stderr and skipped.
+ */
+function readData(file, options){
+  const extension = path.extname(file).toLowerCase();
+  if (extension == ".json") {
+    return new Promise((resolve)=> resolve(JSON.parse(fs.readFileSync(file, DATA_ENCODING))));
+  }
+  const data = [];
+  const onRecord = (record)=> data.push(record);
+  let read;
+  if (extension == ".csv") read = readCSV(file, parseColumns(options.columns), onRecord);
+  else if (extension == ".ndjson" || extension == ".jsonl") read = readNDJSON(file, onRecord);
+  else return Promise.reject(new Error(`Unsupported data file ${file}, expected .json, .csv or .ndjson`));
+  return read.then((report)=>{
+    report.malformed.forEach((problem)=> console.error(`${file}:${problem.line}: ${problem.message}`));
+    return data;
+  });
+}
+
+function parseColumns(columns){
+  const columnMap = {};
+  if (columns) columns.split(",").forEach((pair)=>{
+    const [field, column, extra] = pair.split("=");
+    if (column === undefined || extra !== undefined || !field.trim() || !column.trim()) throw new Error(`--columns expects field=column pairs, got ${pair}`);
+    columnMap[field.trim()] = column.trim();
+  });
+  return columnMap;
+}
+
+function printReport(report){
+  print(`Evaluation (${report.mode}${report.seed !== null ? `, seed ${report.seed}` : ""}):`);
+  print(`  average error ${report.averageError}  coverage ${report.coverage}  precision@${report.k} ${report.precisionAtK}  recall@${report.k} ${report.recallAtK}`);
+  if (report.invalid.length) print(`  ${report.invalid.length} invalid records skipped`);
+}
+
+function print(str){
+  console.log(str);
+}
+
+function printJSON(obj){
+  console.log(JSON.stringify(obj, null, 2));
+}
+
+main(process.argv.slice(2)).catch((e)=>{
+  console.error(`apprecom: ${e.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,8 @@
+import {parentPort, workerData} from "worker_threads";
+import {countRecords} from "./counts";
+
+/*
+  Worker thread entry point for countInWorkers(): counts its shard of records
+  and posts the counts back to be merged.
+ */
+parentPort.postMessage(countRecords(workerData.records, workerData.decay));
@@ -0,0 +1,270 @@
+import path from "path";
+import {InvalidParameterError} from "./errors";
+
+// CONSTANTS
+const COUNT_MAPS = ["pcat", "acat", "itemsets", "pname", "placeItemsets", "names", "nameItemsets", "context", "contextItemsets", "located", "latSum", "lngSum", "users", "userItemsets"];
+const DAYPARTS = [[6, "night"], [12, "morning"], [18, "afternoon"], [24, "evening"]]; // [hour the part ends, name]
+const CANCELLED = 1e-9; // a weighted count this small relative to what was subtracted from it is rounding error
+const MAX_HALF_LIVES = 900; // 0.5 ^ ±900 leaves room to sum weights without underflowing to 0 or overflowing to Infinity
+
+/*
+  Counting for AppRecom. A single pass over the records fills every joint and
+  marginal frequency the rules are mined from, keyed by JSON arrays. Counts of
+  separate sets of records merge by addition, so they can be kept up to date
+  incrementally or counted in shards on worker threads.
+
+  With a decay, each record is counted with a weight that halves every half-life
+  before a fixed reference time. The reference never moves, so weighted counts
+  still merge, and because the ratios of weights depend only on the age
+  difference of the records, support and confidence do not depend on it.
+ */
+
+/**
+ * Creates counts for zero records.
+ * @returns {Object} counts - the record count, their total weight and a map for each of COUNT_MAPS
+ */
+function emptyCounts(){
+  const counts = {records: 0, weight: 0};
+  COUNT_MAPS.forEach((name)=> counts[name] = new Map());
+  return counts;
+}
+
+/**
+ * Adds to the count of a key.
+ */
+function increment(map, key, by = 1){
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+/**
+ * Weighs a record by its age: 1 at the reference time of the decay, halving every half-life before it.
+ * Records without a timestamp, or counted without a decay, weigh 1. Ages are capped at MAX_HALF_LIVES either way,
+ * so a record far older than the reference weighs next to nothing rather than 0, and one far newer stays finite.
+ * @param {Object} instance - the record
+ * @param {Object} decay - {halfLife, reference} in milliseconds, or null
+ * @returns {Number} weight
+ */
+function recordWeight(instance, decay){
+  if (!decay || instance.timestamp === undefined) return 1;
+  const stamp = instance.timestamp instanceof Date ? instance.timestamp.getTime() : instance.timestamp;
+  const halfLives = (decay.reference - stamp) / decay.halfLife;
+  return Math.pow(0.5, Math.max(-MAX_HALF_LIVES, Math.min(MAX_HALF_LIVES, halfLives)));
+}
+
+/**
+ * Counts one record into every map it belongs to. The positions of places are not weighted.
+ * @param {Object} counts - the counts to add the record to
+ * @param {Object} instance - the record
+ * @param {Object} decay - {halfLife, reference} to weigh the record by its age, or null
+ */
+function countRecord(counts, instance, decay = null){
+  const weight = recordWeight(instance, decay);
+  counts.records++;
+  counts.weight += weight;
+  increment(counts.pcat, instance.pcat, weight);
+  increment(counts.acat, instance.acat, weight);
+  increment(counts.itemsets, jstr([instance.pcat, instance.acat]), weight);
+  const place = placeKey(instance.pname, instance.pcat);
+  if (instance.pname !== undefined) { // a chain has a place of each category, not one for all of them
+    increment(counts.pname, place, weight);
+    increment(counts.placeItemsets, jstr([place, instance.acat]), weight);
+  }
+  if (typeof instance.lat === "number" && typeof instance.lng === "number") {
+    increment(counts.located, place); // sums, so the mean position survives merging counts
+    increment(counts.latSum, place, instance.lat);
+    increment(counts.lngSum, place, instance.lng);
+  }
+  if (instance.userId !== undefined) {
+    const user = String(instance.userId); // 1 and "1" are one user, as a query string cannot tell them apart
+    increment(counts.users, jstr([user, instance.pcat]), weight);
+    increment(counts.userItemsets, jstr([user, instance.pcat, instance.acat]), weight);
+  }
+  for (const context of contextsOf(instance)) {
+    const contextKey = jstr([instance.pcat, context]); // the hypothesis is the place category in this time bucket
+    increment(counts.context, contextKey, weight);
+    increment(counts.contextItemsets, jstr([contextKey, instance.acat]), weight);
+  }
+  if (instance.aname !== undefined) {
+    increment(counts.names, jstr([instance.acat, instance.aname]), weight);
+    increment(counts.nameItemsets, jstr([instance.pcat, instance.acat, instance.aname]), weight);
+  }
+}
+
+/**
+ * Counts the records in one pass.
+ * @param {Array<Object>} records - the records to count
+ * @param {Object} decay - {halfLife, reference} to weigh the records by their age, or null
+ * @returns {Object} counts
+ */
+function countRecords(records, decay = null){
+  const counts = emptyCounts();
+  records.forEach((instance)=> countRecord(counts, instance, decay));
+  return counts;
+}
+
+/**
+ * Adds (sign 1) or subtracts (sign -1) the source counts into the target counts.
+ * Entries that drop to zero, or to the rounding error of weighted counts, are removed
+ * so the counts match a fresh count of the same records.
+ * @returns {Object} target
+ */
+function mergeCounts(target, source, sign = 1){
+  target.records += sign * source.records;
+  target.weight = target.records ? target.weight + sign * source.weight : 0;
+  COUNT_MAPS.forEach((name)=>{
+    for (const [key, count] of source[name]) {
+      increment(target[name], key, sign * count);
+      if (Math.abs(target[name].get(key)) <= CANCELLED * Math.abs(count)) target[name].delete(key);
+    }
+  });
+  return target;
+}
+
+/**
+ * Checks that the part could have been counted into the counts, so it can be subtracted from them.
+ * @returns {Boolean} whether every count of the part is covered by the counts
+ */
+function containsCounts(counts, part){
+  if (part.records > counts.records) return false;
+  // latSum and lngSum hold coordinates, which may be negative; located counts the same records
+  return COUNT_MAPS.filter((name)=> name != "latSum" && name != "lngSum").every((name)=> [...part[name]].every(([key, count])=> (counts[name].get(key) || 0) >= count - CANCELLED * Math.abs(count)));
+}
+
+/**
+ * Copies counts so they can be merged into without touching the originals.
+ */
+function copyCounts(counts){
+  return mergeCounts(emptyCounts(), counts);
+}
+
+/**
+ * Counts the records on worker threads, one contiguous shard per worker, and merges their counts.
+ * On versions of Node without worker threads the records are counted on this thread instead.
+ * @param {Array<Object>} records - the records to count
+ * @param {Number} workers - the number of worker threads
+ * @param {Object} decay - {halfLife, reference} to weigh the records by their age, or null
+ * @returns {Promise<Object>} counts
+ */
+function countInWorkers(records, workers, decay = null){
+  const Worker = workerClass();
+  if (!Worker || workers <= 1 || records.length < workers) return Promise.resolve(countRecords(records, decay));
+  const shardSize = Math.ceil(records.length / workers);
+  const shards = [];
+  for (let start = 0; start < records.length; start += shardSize) shards.push(records.slice(start, start + shardSize));
+
+  return Promise.all(shards.map((shard)=> new Promise((resolve, reject)=>{
+    const worker = new Worker(path.join(__dirname, "countWorker.js"), {workerData: {records: shard, decay}});
+    worker.once("message", resolve); // Maps survive the structured clone
+    worker.once("error", reject);
+    worker.once("exit", (code)=>{ if (code != 0) reject(new Error(`Counting worker stopped with exit code ${code}`)); });
+  }))).then((shardCounts)=> shardCounts.reduce((total, counts)=> mergeCounts(total, counts), emptyCounts()));
+}
+
+/**
+ * Serializes counts, turning each map into an array of [key, count] entries.
+ */
+function countsToJSON(counts){
+  const json = {records: counts.records, weight: counts.weight};
+  COUNT_MAPS.forEach((name)=> json[name] = [...counts[name]]);
+  return json;
+}
+
+/**
+ * Restores counts serialized by countsToJSON().
+ */
+function countsFromJSON(json){
+  const counts = {records: json.records, weight: json.weight};
+  COUNT_MAPS.forEach((name)=> counts[name] = new Map(json[name]));
+  return counts;
+}
+
+/**
+ * Buckets a time into its part of the day and of the week, e.g. "morning/weekday".
+ * Takes a Date, a timestamp, or an object with a timestamp and/or explicit hour and weekday;
+ * timestamps are read in UTC. A time with only an hour buckets to e.g. "morning/anyday", and one
+ * with only a weekday to e.g. "anytime/weekend".
+ * @returns {String} the bucket, or undefined when there is no time to bucket
+ */
+function contextOf(time){
+  const parts = timeParts(time);
+  return parts && bucket(parts.hour, parts.weekday);
+}
+
+/**
+ * Lists every bucket a record is counted in: its own and, when it has both an hour and a weekday,
+ * the part of the day on any day and the part of the week at any time, so that queries
+ * with only an hour or only a weekday match it too.
+ * @returns {Array<String>} the buckets, none when there is no time to bucket
+ */
+function contextsOf(time){
+  const parts = timeParts(time);
+  if (!parts) return [];
+  const buckets = [bucket(parts.hour, parts.weekday)];
+  if (parts.hour !== undefined && parts.weekday !== undefined) buckets.push(bucket(parts.hour, undefined), bucket(undefined, parts.weekday));
+  return buckets;
+}
+
+/**
+ * Keys a place by its name and category, e.g. '["Blue Cafe","cafe"]', the name being null for a whole place category.
+ * @returns {String} the key of the place in the pname, placeItemsets and located counts
+ */
+function placeKey(pname, pcat){
+  return jstr([pname !== undefined ? pname : null, pcat]);
+}
+
+// HELPER FUNCTIONS
+/*
+  The Worker class of worker_threads, or undefined where Node has none (before Node 12).
+  It is only required here so that the module still loads there.
+ */
+function workerClass(){
+  try {
+    return require("worker_threads").Worker;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/*
+  Reads the hour and weekday of a time, either of which may be undefined, or undefined
+  for no time at all, e.g. an Invalid Date. Throws for an hour or weekday out of range.
+ */
+function timeParts(time){
+  if (time === undefined || time === null) return undefined;
+  const stamp = time instanceof Date || typeof time === "number" ? time : time.timestamp;
+  const date = stamp !== undefined ? new Date(stamp) : null;
+  const valid = date && !isNaN(date.getUTCHours());
+  const hour = time.hour !== undefined ? time.hour : valid ? date.getUTCHours() : undefined;
+  const weekday = time.weekday !== undefined ? time.weekday : valid ? date.getUTCDay() : undefined;
+  if (hour !== undefined && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) throw new InvalidParameterError("time.hour", `must be an integer from 0 to 23, got ${hour}`);
+  if (weekday !== undefined && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) throw new InvalidParameterError("time.weekday", `must be an integer from 0 to 6, got ${weekday}`);
+  if (hour === undefined && weekday === undefined) return undefined;
+  return {hour, weekday};
+}
+
+function bucket(hour, weekday){
+  const daypart = hour !== undefined ? DAYPARTS.find(([end])=> hour < end)[1] : "anytime";
+  const week = weekday !== undefined ? (weekday == 0 || weekday == 6 ? "weekend" : "weekday") : "anyday";
+  return `${daypart}/${week}`;
+}
+
+function jstr(obj){
+  return JSON.stringify(obj);
+}
+
+// Module export
+export {
+  COUNT_MAPS,
+  emptyCounts,
+  increment,
+  countRecord,
+  countRecords,
+  mergeCounts,
+  containsCounts,
+  copyCounts,
+  countInWorkers,
+  countsToJSON,
+  countsFromJSON,
+  contextOf,
+  placeKey
+};
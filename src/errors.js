@@ -0,0 +1,41 @@
+/*
+  Typed errors thrown by the input validation of AppRecom.
+
+  Babel compiles classes extending Error to objects of the plain Error
+  prototype, so each class restores its own prototype for instanceof checks.
+ */
+
+/**
+ * Thrown when training records are malformed. index and field point at the first problem;
+ * problems lists all of them as {index, field, message}.
+ */
+class InvalidRecordError extends Error{
+  constructor(problems){
+    const first = problems[0];
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : "";
+    super(`Invalid record at index ${first.index}: ${first.message}${more}`);
+    Object.setPrototypeOf(this, InvalidRecordError.prototype);
+    this.name = "InvalidRecordError";
+    this.index = first.index;
+    this.field = first.field;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Thrown when a parameter or option is missing, of the wrong type or out of range.
+ */
+class InvalidParameterError extends Error{
+  constructor(parameter, message){
+    super(`Invalid parameter ${parameter}: ${message}`);
+    Object.setPrototypeOf(this, InvalidParameterError.prototype);
+    this.name = "InvalidParameterError";
+    this.parameter = parameter;
+  }
+}
+
+// Module export
+export {
+  InvalidRecordError,
+  InvalidParameterError
+};
@@ -0,0 +1,138 @@
+import fs from "fs";
+import readline from "readline";
+import {recordProblems} from "./validation";
+
+// CONSTANTS
+const FILE_ENCODING = "utf-8";
+const RECORD_FIELDS = ["pname", "pcat", "aname", "acat", "lat", "lng", "timestamp", "hour", "weekday", "userId"];
+const NUMERIC_FIELDS = ["lat", "lng", "timestamp", "hour", "weekday"];
+
+/*
+  Streaming record loaders. Each reads a file line by line and hands every
+  well formed record to a callback as soon as it is parsed, so no more than a
+  line of raw data is held in memory. Malformed lines are skipped and reported.
+ */
+
+/**
+ * Streams the records of a CSV file with a header row. Quoted fields may contain commas and
+ * doubled quotes, but not line breaks. A byte order mark before the header row is ignored.
+ * @param {String} path - the CSV file
+ * @param {Object} columnMap - the CSV column of each record field, e.g. {pcat: "place_category"};
+ *                             fields that are not mapped are read from the column of the same name
+ * @param {Function} onRecord - called with each record
+ * @returns {Promise<Object>} report - {records, malformed: [{line, message}]}
+ */
+function readCSV(path, columnMap, onRecord){
+  let header = null;
+  let columns = null;
+  return readLines(path, (line)=>{
+    const values = parseCSVLine(line);
+    if (!header) { // the header row
+      header = values;
+      columns = RECORD_FIELDS
+        .map((field)=> [field, values.indexOf(columnMap[field] || field)])
+        .filter(([field, index])=> index != -1);
+      const missing = ["pcat", "acat"].filter((field)=> !columns.some(([name])=> name == field));
+      if (missing.length) throw fatal(`CSV header has no column for ${missing.join(", ")}`);
+      return null;
+    }
+    if (values.length != header.length) throw new Error(`Expected ${header.length} columns, found ${values.length}`);
+    const record = {};
+    for (const [field, index] of columns) {
+      if (values[index] === "") continue;
+      record[field] = NUMERIC_FIELDS.indexOf(field) != -1 ? Number(values[index]) : values[index];
+      if (Number.isNaN(record[field])) throw new Error(`${field} is not a number`);
+    }
+    return record;
+  }, onRecord);
+}
+
+/**
+ * Streams the records of a newline delimited JSON file, one record object per line.
+ * @param {String} path - the NDJSON file
+ * @param {Function} onRecord - called with each record
+ * @returns {Promise<Object>} report - {records, malformed: [{line, message}]}
+ */
+function readNDJSON(path, onRecord){
+  return readLines(path, (line)=>{
+    const record = JSON.parse(line);
+    if (!record || typeof record !== "object" || Array.isArray(record)) throw new Error("Line is not a JSON object");
+    return record;
+  }, onRecord);
+}
+
+// HELPER FUNCTIONS
+/*
+  Reads the file line by line. parseLine turns a line into a record (or null for
+  a line without one) and throws for a malformed line. A fatal error, like a
+  header without the required columns, rejects the whole read instead.
+ */
+function readLines(path, parseLine, onRecord){
+  return new Promise((resolve, reject)=>{
+    const report = {records: 0, malformed: []};
+    const input = fs.createReadStream(path, {encoding: FILE_ENCODING});
+    const lines = readline.createInterface({input, crlfDelay: Infinity});
+    let lineNumber = 0;
+    let failed = false;
+    lines.on("error", reject); // readline passes on the errors of the file stream
+    lines.on("line", (line)=>{
+      lineNumber++;
+      if (lineNumber == 1) line = line.replace(/^\uFEFF/, ""); // the byte order mark of files saved by Excel
+      if (failed || !line.trim()) return;
+      let record;
+      try {
+        record = parseLine(line);
+      } catch (e) {
+        if (e.fatal) {
+          failed = true;
+          lines.close();
+          input.destroy();
+          reject(e);
+          return;
+        }
+        report.malformed.push({line: lineNumber, message: e.message});
+        return;
+      }
+      if (!record) return;
+      const problems = recordProblems(record, report.records);
+      if (problems.length) {
+        report.malformed.push({line: lineNumber, message: problems.map((problem)=> problem.message).join(", ")});
+        return;
+      }
+      report.records++;
+      onRecord(record);
+    });
+    lines.on("close", ()=>{ if (!failed) resolve(report); });
+  });
+}
+
+function fatal(message){
+  const error = new Error(message);
+  error.fatal = true;
+  return error;
+}
+
+function parseCSVLine(line){
+  const values = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char == "\"" && line[i + 1] == "\"") { value += "\""; i++; }
+      else if (char == "\"") quoted = false;
+      else value += char;
+    } else if (char == "\"") quoted = true;
+    else if (char == ",") { values.push(value); value = ""; }
+    else value += char;
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  values.push(value);
+  return values;
+}
+
+// Module export
+export {
+  readCSV,
+  readNDJSON
+};
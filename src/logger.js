@@ -0,0 +1,37 @@
+import {InvalidParameterError} from "./errors";
+
+// CONSTANTS
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+/*
+  Levelled logging for AppRecom. Any object with debug, info, warn and error
+  methods can be plugged in, like console or a winston logger; messages below
+  the level never reach it. Each message comes with an object of structured
+  fields as its second argument, so loggers that take the fields first, like
+  pino, need an adapter that swaps them.
+ */
+
+/**
+ * Wraps a logger so that only the messages at or above a level reach it.
+ * @param {Object} logger - an object with debug(), info(), warn() and error() methods (default console)
+ * @param {String} level - "debug", "info", "warn", "error" or "silent" (default "warn")
+ * @returns {Object} the levelled logger, with the same four methods
+ */
+function createLogger(logger = console, level = "warn"){
+  if (!logger || typeof logger !== "object" || !LOG_LEVELS.slice(0, -1).every((method)=> typeof logger[method] === "function")) {
+    throw new InvalidParameterError("logger", "must have debug(), info(), warn() and error() methods");
+  }
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold == -1) throw new InvalidParameterError("logLevel", `must be one of ${LOG_LEVELS.join(", ")}, got ${level}`);
+  const levelled = {level};
+  LOG_LEVELS.slice(0, -1).forEach((method, i)=>{
+    levelled[method] = i >= threshold ? (message, fields = {})=> logger[method](message, fields) : ()=>{};
+  });
+  return levelled;
+}
+
+// Module export
+export {
+  LOG_LEVELS,
+  createLogger
+};
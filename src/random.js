@@ -0,0 +1,48 @@
+/*
+  Randomness for the evaluation splits. A seed makes the shuffling repeatable.
+ */
+
+/**
+ * Mulberry32, a small seeded PRNG.
+ * @param {Number} seed - the seed, read as a 32 bit unsigned integer
+ * @returns {Function} a function returning floats in [0, 1) like Math.random
+ */
+function seededRandom(seed){
+  let state = seed >>> 0;
+  return function(){
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles an array in place.
+ * @param {Array} array - the array to shuffle
+ * @param {Function} random - the source of randomness (default Math.random)
+ * @returns {Array} the array
+ */
+function shuffle(array, random = Math.random) {
+  /*
+    Stole from Christoph on Stack Overflow:
+    https://stackoverflow.com/a/962890
+   */
+  var tmp, current, top = array.length;
+
+  if(top) while(--top) {
+      current = Math.floor(random() * (top + 1));
+      tmp = array[current];
+      array[current] = array[top];
+      array[top] = tmp;
+  }
+
+  return array;
+}
+
+// Module export
+export {
+  seededRandom,
+  shuffle
+};
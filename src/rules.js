@@ -0,0 +1,102 @@
+/*
+  Association rule mining over counts. Itemsets are [hypothesis, conclusion]
+  JSON keys with their (possibly weighted) frequency; rules are kept as objects
+  carrying their metrics and are grouped by hypothesis, most frequent first.
+ */
+
+/**
+ * Prunes the itemsets for those who match the min_support.
+ * @param {Map<String, Number>} itemsets - item entry as JSON Array, item frequency
+ * @param {Number} length - the number of records counted
+ * @param {Number} min_support - the minimum support accepted for an itemset
+ * @returns {Map<String, Number>} keepers - the itemsets with enough support and their frequencies
+ */
+function pruneItemsets(itemsets, length, min_support){
+  const keepers = new Map(itemsets);
+  for (const [itemset, count] of itemsets) {
+    if ((count / length) < min_support) keepers.delete(itemset);
+  }
+  return keepers;
+}
+
+/**
+ * Gets the rules from the itemsets according to the minimum confidence and the other metric thresholds.
+ * @param {Map<String, Number>} itemsets - the itemsets to fetch rules from.
+ * @param {Map<String, Number>} hypCounts - the frequency of each hypothesis value
+ * @param {Map<String, Number>} conCounts - the frequency of each conclusion value
+ * @param {Number} length - the number of records counted
+ * @param {Decimal} min_conf - the minimum confidence for a rule to be accepted
+ * @param {Object} thresholds - the minimum lift, leverage and conviction for a rule to be accepted
+ * @returns {Object} rules - the rules of each hypothesis, ranked with rankRules()
+ */
+function mineRules(itemsets, hypCounts, conCounts, length, min_conf, thresholds){
+  const rules = {};
+  for (const [itemset, count] of itemsets) {
+    const [hyp, con] = JSON.parse(itemset);
+    const metrics = ruleMetrics(count, hypCounts.get(hyp), conCounts.get(con), length);
+    if (metrics.confidence >= min_conf &&
+        metrics.lift >= thresholds.minLift &&
+        metrics.leverage >= thresholds.minLeverage &&
+        metrics.conviction >= thresholds.minConviction) (rules[hyp] || (rules[hyp] = [])).push(Object.assign({app: con}, metrics));
+  }
+  Object.keys(rules).forEach((hyp)=> rankRules(rules[hyp]));
+  return rules;
+}
+
+/**
+ * Standard association rule metrics for hypothesis => conclusion, from the joint count,
+ * the count of each side and the number of records.
+ * @returns {Object} {count, support, confidence, lift, leverage, conviction}
+ */
+function ruleMetrics(count, hypFreq, conFreq, length){
+  const support = count / length;
+  const confidence = count / hypFreq;
+  const conSupport = conFreq / length;
+  return {
+    count,
+    support,
+    confidence,
+    lift: confidence / conSupport,
+    leverage: support - (hypFreq / length) * conSupport,
+    conviction: confidence < 1 ? (1 - conSupport) / (1 - confidence) : Infinity
+  };
+}
+
+/**
+ * Reads the lift, leverage and conviction thresholds from training options or parameters, with their defaults.
+ */
+function ruleThresholds(options){
+  return {
+    minLift: options.minLift !== undefined ? options.minLift : 0,
+    minLeverage: options.minLeverage !== undefined ? options.minLeverage : -1,
+    minConviction: options.minConviction !== undefined ? options.minConviction : 0
+  };
+}
+
+/**
+ * Sorts rules on count, most frequent first. Ties are broken on the conclusion
+ * so the order does not depend on the order the records were counted in.
+ */
+function rankRules(rules, field = "app"){
+  return rules.sort((a, b)=> b.count - a.count || (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+}
+
+/**
+ * Restores the rules of a table read from JSON.
+ */
+function restoreRules(rules){
+  for (const key of Object.keys(rules)) {
+    rules[key].forEach((rule)=>{ if (rule.conviction === null) rule.conviction = Infinity; }); // JSON has no Infinity
+  }
+  return rules;
+}
+
+// Module export
+export {
+  pruneItemsets,
+  mineRules,
+  ruleMetrics,
+  ruleThresholds,
+  rankRules,
+  restoreRules
+};
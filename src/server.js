@@ -0,0 +1,178 @@
+import http from "http";
+import url from "url";
+import {InvalidRecordError, InvalidParameterError} from "./errors";
+
+// CONSTANTS
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const NUMERIC_QUERY = ["limit", "minConfidence", "time", "userPrior", "feedbackPrior", "suppressAfter", "diversity", "lat", "lng", "radiusMeters", "k"];
+
+/*
+  A small JSON HTTP API over a trained AppRecom, with no dependencies beyond
+  Node's http module. Every response is JSON; failures are answered with
+  {error: {code, message}} plus the details of the typed validation errors.
+ */
+
+/**
+ * Creates an HTTP server that answers with the given recommender. The server is not listening yet.
+ * @param {AppRecom} recom - the recommender to serve, trained in place by POST /train
+ * @returns {http.Server} server
+ */
+function createServer(recom){
+  return http.createServer((request, response)=>{
+    const {pathname, query} = url.parse(request.url, true);
+    const route = ROUTES[pathname];
+    let handled;
+    if (!route) handled = Promise.reject(new HttpError(404, "not_found", `No endpoint ${pathname}`));
+    else if (!route[request.method]) handled = Promise.reject(methodNotAllowed(route, request.method));
+    else handled = Promise.resolve().then(()=> route[request.method](recom, request, query));
+    handled
+      .then((body)=> send(response, 200, body))
+      .catch((e)=> sendError(response, e));
+  });
+}
+
+const ROUTES = {
+  "/health": {
+    GET(recom){
+      return {status: "ok", trained: !!recom.params, records: recom.counts.records};
+    }
+  },
+
+  "/model": {
+    GET(recom){
+      const locations = Object.keys(recom.rules);
+      return {
+        trained: !!recom.params,
+        params: recom.params,
+        records: recom.counts.records,
+        locations: locations.length,
+        rules: locations.reduce((total, location)=> total + recom.rules[location].length, 0),
+        placeRules: Object.keys(recom.placeRules).length,
+        contextRules: Object.keys(recom.contextRules).length,
+        parentRules: Object.keys(recom.parentRules).length,
+        taxonomy: recom.taxonomy
+      };
+    }
+  },
+
+  "/recommendations": {
+    GET(recom, request, query){
+      requireTrained(recom);
+      const options = {withScores: true};
+      NUMERIC_QUERY.forEach((name)=>{
+        if (query[name] === undefined) return;
+        options[name] = Number(query[name]);
+        if (query[name] === "" || Number.isNaN(options[name])) throw new InvalidParameterError(name, `must be a number, got ${query[name]}`);
+      });
+      if (query.userId !== undefined) options.userId = query.userId;
+      if (query.exclude !== undefined) options.exclude = query.exclude.split(",");
+      if (query.diversify !== undefined) options.diversify = query.diversify != "false";
+      if (query.location === undefined && options.lat !== undefined) {
+        return {recommendations: recom.getAppsNear({lat: options.lat, lng: options.lng}, options)};
+      }
+      const location = query.pname !== undefined ? {pname: query.pname, pcat: query.location} : query.location;
+      return {recommendations: recom.getApps(location, options)};
+    }
+  },
+
+  "/records": {
+    POST(recom, request){
+      requireTrained(recom);
+      return readJSON(request).then((body)=>{
+        const records = Array.isArray(body) ? body : body && body.records;
+        recom.addRecords(records);
+        return {added: records.length, records: recom.counts.records};
+      });
+    }
+  },
+
+  "/feedback": {
+    POST(recom, request){
+      return readJSON(request).then((body)=> ({feedback: recom.recordFeedback(body)}));
+    }
+  },
+
+  "/train": {
+    POST(recom, request){
+      return readJSON(request).then((body)=>{
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new InvalidParameterError("body", "must be {data, min_support, min_conf, test_ratio, options}");
+        const report = recom.train(body.data, body.min_support, body.min_conf, body.test_ratio, body.options);
+        return {report, params: recom.params, records: recom.counts.records};
+      });
+    }
+  }
+};
+
+// HELPER FUNCTIONS
+/*
+  An error with the status and code to answer the request with.
+ */
+class HttpError extends Error{
+  constructor(status, code, message){
+    super(message);
+    Object.setPrototypeOf(this, HttpError.prototype);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function methodNotAllowed(route, method){
+  const error = new HttpError(405, "method_not_allowed", `${method} is not supported, use ${Object.keys(route).join(", ")}`);
+  error.allow = Object.keys(route).join(", ");
+  return error;
+}
+
+function requireTrained(recom){
+  if (!recom.params) throw new HttpError(409, "not_trained", "The model has not been trained yet, POST /train first");
+}
+
+/*
+  Reads a JSON request body. A body over MAX_BODY_BYTES is drained without being kept, so the
+  client gets its 413 answer instead of a reset connection.
+ */
+function readJSON(request){
+  return new Promise((resolve, reject)=>{
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk)=>{
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    request.on("error", reject);
+    request.on("end", ()=>{
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "payload_too_large", `The request body is larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch (e) {
+        reject(new HttpError(400, "invalid_json", `The request body is not valid JSON: ${e.message}`));
+      }
+    });
+  });
+}
+
+function send(response, status, body, headers = {}){
+  response.writeHead(status, Object.assign({"Content-Type": "application/json; charset=utf-8"}, headers));
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, e){
+  if (e instanceof InvalidRecordError) {
+    send(response, 400, {error: {code: "invalid_record", message: e.message, problems: e.problems}});
+  } else if (e instanceof InvalidParameterError) {
+    send(response, 400, {error: {code: "invalid_parameter", message: e.message, parameter: e.parameter}});
+  } else if (e instanceof HttpError) {
+    const headers = e.allow ? {Allow: e.allow} : {};
+    if (e.status == 413) headers.Connection = "close"; // no more bodies that size on this connection
+    send(response, e.status, {error: {code: e.code, message: e.message}}, headers);
+  } else {
+    send(response, 500, {error: {code: "internal_error", message: e.message}});
+  }
+}
+
+// Module export
+export {
+  createServer
+};
@@ -0,0 +1,174 @@
+import {InvalidRecordError, InvalidParameterError} from "./errors";
+
+// CONSTANTS
+const FALLBACK_LEVELS = ["place", "context", "exact", "parent", "popularity"];
+const MAX_TIMESTAMP = 8.64e15; // the range of a Date, in milliseconds either side of the epoch
+
+/*
+  Input validation for AppRecom. Records are checked field by field so every
+  problem can be reported with its index and field; parameters throw on the
+  first one that is out of range.
+ */
+
+/**
+ * Lists the problems of one record.
+ * @param {Object} record - the record to check
+ * @param {Number} index - the position of the record, for the report
+ * @returns {Array<Object>} problems - {index, field, message}
+ */
+function recordProblems(record, index){
+  if (!record || typeof record !== "object" || Array.isArray(record)) return [{index, field: null, message: "record must be an object"}];
+  const problems = [];
+  const problem = (field, message)=> problems.push({index, field, message: `${field} ${message}`});
+  ["pcat", "acat"].forEach((field)=>{
+    if (typeof record[field] !== "string" || !record[field]) problem(field, "must be a non-empty string");
+  });
+  ["pname", "aname"].forEach((field)=>{
+    if (record[field] !== undefined && typeof record[field] !== "string") problem(field, "must be a string");
+  });
+  if (record.userId !== undefined && typeof record.userId !== "string" && typeof record.userId !== "number") problem("userId", "must be a string or a number");
+  if (record.lat !== undefined && !inRange(record.lat, -90, 90)) problem("lat", "must be a number from -90 to 90");
+  if (record.lng !== undefined && !inRange(record.lng, -180, 180)) problem("lng", "must be a number from -180 to 180");
+  if (record.timestamp !== undefined && !isTimestamp(record.timestamp)) problem("timestamp", "must be a Date or a number of milliseconds");
+  if (record.hour !== undefined && !(Number.isInteger(record.hour) && inRange(record.hour, 0, 23))) problem("hour", "must be an integer from 0 to 23");
+  if (record.weekday !== undefined && !(Number.isInteger(record.weekday) && inRange(record.weekday, 0, 6))) problem("weekday", "must be an integer from 0 to 6");
+  return problems;
+}
+
+/**
+ * Checks the records of a data set. Throws an InvalidRecordError listing every problem,
+ * or with skipInvalid, leaves the invalid records out and returns their problems.
+ * @param {Array<Object>} data - the records to check
+ * @param {Boolean} skipInvalid - collect the problems instead of throwing
+ * @returns {Object} {records, invalid} - the valid records and the problems of the others
+ */
+function validateRecords(data, skipInvalid = false){
+  if (!Array.isArray(data)) throw new InvalidParameterError("data", "must be an array of records");
+  let invalid = [];
+  const records = data.filter((record, index)=>{
+    const problems = recordProblems(record, index);
+    invalid = invalid.concat(problems);
+    return !problems.length;
+  });
+  if (invalid.length && !skipInvalid) throw new InvalidRecordError(invalid);
+  return {records, invalid};
+}
+
+/**
+ * Checks that each of the named values is a ratio from 0 to 1, skipping those left undefined.
+ * @param {Object} ratios - values keyed by parameter name
+ */
+function validateRatios(ratios){
+  Object.keys(ratios).forEach((parameter)=>{
+    const value = ratios[parameter];
+    if (value !== undefined && !inRange(value, 0, 1)) throw new InvalidParameterError(parameter, `must be a number from 0 to 1, got ${value}`);
+  });
+}
+
+/**
+ * Checks that each of the named values is an integer of at least the minimum, skipping those left undefined.
+ * @param {Object} counts - values keyed by parameter name
+ * @param {Number} minimum - the smallest accepted value
+ */
+function validateCounts(counts, minimum){
+  Object.keys(counts).forEach((parameter)=>{
+    const value = counts[parameter];
+    if (value !== undefined && !(Number.isInteger(value) && value >= minimum)) throw new InvalidParameterError(parameter, `must be an integer of at least ${minimum}, got ${value}`);
+  });
+}
+
+/**
+ * Checks the location of a recommendation query: a place category or a {pname, pcat} object.
+ */
+function validateLocation(location){
+  const place = location && typeof location === "object" ? location : {pcat: location};
+  if (typeof place.pcat !== "string" || !place.pcat) throw new InvalidParameterError("location", "must be a place category or a {pname, pcat} object");
+  if (place.pname !== undefined && typeof place.pname !== "string") throw new InvalidParameterError("location.pname", "must be a string");
+}
+
+/**
+ * Checks a {lat, lng} point.
+ */
+function validatePoint(point){
+  if (!point || !inRange(point.lat, -90, 90) || !inRange(point.lng, -180, 180)) {
+    throw new InvalidParameterError("point", "must be {lat, lng} with lat from -90 to 90 and lng from -180 to 180");
+  }
+}
+
+/**
+ * Checks the time decay options of training.
+ */
+function validateDecay(options){
+  if (options.halfLife !== undefined && !(typeof options.halfLife === "number" && options.halfLife > 0)) {
+    throw new InvalidParameterError("halfLife", `must be a number of milliseconds above 0, got ${options.halfLife}`);
+  }
+  const reference = options.decayReference;
+  if (reference !== undefined && !(reference instanceof Date ? !isNaN(reference.getTime()) : Number.isFinite(reference))) {
+    throw new InvalidParameterError("decayReference", "must be a Date or a number of milliseconds");
+  }
+}
+
+/**
+ * Checks the options shared by the recommendation queries.
+ */
+function validateQueryOptions(options){
+  if (!options || typeof options !== "object") throw new InvalidParameterError("options", "must be an object");
+  validateCounts({limit: options.limit, perCategory: options.perCategory}, 0);
+  validateCounts({k: options.k, suppressAfter: options.suppressAfter}, 1);
+  validateRatios({minConfidence: options.minConfidence, diversity: options.diversity});
+  if (options.exclude !== undefined && !(Array.isArray(options.exclude) && options.exclude.every((app)=> typeof app === "string"))) {
+    throw new InvalidParameterError("exclude", "must be an array of app categories");
+  }
+  ["userPrior", "feedbackPrior"].forEach((parameter)=>{
+    const value = options[parameter];
+    if (value !== undefined && !(typeof value === "number" && value >= 0)) throw new InvalidParameterError(parameter, `must be a number of at least 0, got ${value}`);
+  });
+  if (options.radiusMeters !== undefined && !(typeof options.radiusMeters === "number" && options.radiusMeters > 0)) {
+    throw new InvalidParameterError("radiusMeters", `must be a number above 0, got ${options.radiusMeters}`);
+  }
+  if (options.userId !== undefined && typeof options.userId !== "string" && typeof options.userId !== "number") {
+    throw new InvalidParameterError("userId", "must be a string or a number");
+  }
+  validateTime(options.time);
+  const fallback = options.fallback;
+  if (fallback !== undefined && fallback !== false && !(Array.isArray(fallback) && fallback.every((level)=> FALLBACK_LEVELS.indexOf(level) != -1))) {
+    throw new InvalidParameterError("fallback", `must be false or an array of the levels ${FALLBACK_LEVELS.join(", ")}`);
+  }
+}
+
+/**
+ * Checks the time of a query: a Date, a timestamp, or an object with a timestamp and/or explicit hour and weekday.
+ */
+function validateTime(time){
+  if (time === undefined || time === null) return;
+  if (time instanceof Date || typeof time === "number") {
+    if (!isTimestamp(time)) throw new InvalidParameterError("time", "must be a valid Date or a number of milliseconds");
+    return;
+  }
+  if (!time || typeof time !== "object") throw new InvalidParameterError("time", "must be a Date, a timestamp or {timestamp, hour, weekday}");
+  if (time.timestamp !== undefined && !isTimestamp(time.timestamp)) throw new InvalidParameterError("time.timestamp", "must be a valid Date or a number of milliseconds");
+  if (time.hour !== undefined && !(Number.isInteger(time.hour) && inRange(time.hour, 0, 23))) throw new InvalidParameterError("time.hour", `must be an integer from 0 to 23, got ${time.hour}`);
+  if (time.weekday !== undefined && !(Number.isInteger(time.weekday) && inRange(time.weekday, 0, 6))) throw new InvalidParameterError("time.weekday", `must be an integer from 0 to 6, got ${time.weekday}`);
+}
+
+// HELPER FUNCTIONS
+function isTimestamp(value){
+  return value instanceof Date ? !isNaN(value.getTime()) : Number.isFinite(value) && Math.abs(value) <= MAX_TIMESTAMP;
+}
+
+function inRange(value, min, max){
+  return typeof value === "number" && value >= min && value <= max;
+}
+
+// Module export
+export {
+  FALLBACK_LEVELS,
+  recordProblems,
+  validateRecords,
+  validateRatios,
+  validateCounts,
+  validateDecay,
+  validateLocation,
+  validatePoint,
+  validateQueryOptions
+};
@@ -0,0 +1,87 @@
+import assert from "assert";
+import {execFile} from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {makeRecords} from "./support/records";
+
+// CONSTANTS
+const CLI = path.join(__dirname, "..", "src", "cli.js");
+
+/*
+  Runs the apprecom command with the arguments, compiling the sources on the fly.
+ */
+function run(args){
+  return new Promise((resolve)=>{
+    execFile(process.execPath, ["--require", "babel-register", CLI].concat(args), (error, stdout, stderr)=>{
+      resolve({code: error ? error.code : 0, stdout, stderr});
+    });
+  });
+}
+
+describe("apprecom command", function(){
+  this.timeout(60000); // every run compiles the sources again
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apprecom-cli-"));
+  const data = path.join(dir, "records.json");
+  const csv = path.join(dir, "records.csv");
+  const model = path.join(dir, "model.json");
+
+  before(function(){
+    const records = makeRecords(300, 6);
+    fs.writeFileSync(data, JSON.stringify(records), "utf-8");
+    fs.writeFileSync(csv, ["place_category,app_category"].concat(records.map((record)=> `${record.pcat},${record.acat}`)).join("\n"), "utf-8");
+  });
+
+  after(function(){
+    [data, csv, model].forEach((file)=>{ if (fs.existsSync(file)) fs.unlinkSync(file); });
+    fs.rmdirSync(dir);
+  });
+
+  it("prints the usage", function(){
+    return run(["--help"]).then(({code, stdout})=>{
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.startsWith("Usage: apprecom <command> [options]"));
+    });
+  });
+
+  it("trains a model, then recommends from it and inspects it", function(){
+    return run(["train", data, "-o", model, "--min-support", "0.02", "--min-conf", "0.3", "--seed", "1", "--json"]).then(({code, stdout})=>{
+      assert.strictEqual(code, 0);
+      const output = JSON.parse(stdout);
+      assert.strictEqual(output.model, model);
+      assert.strictEqual(output.report.seed, 1);
+      assert.ok(fs.existsSync(model));
+      return run(["recommend", model, "library", "--limit", "2", "--exclude", "education", "--json"]);
+    }).then(({code, stdout})=>{
+      assert.strictEqual(code, 0);
+      const recommendations = JSON.parse(stdout);
+      assert.deepStrictEqual(recommendations.map((rec)=> [rec.app, rec.level]), [["books", "exact"]]);
+      return run(["inspect", model]);
+    }).then(({code, stdout})=>{
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.startsWith("Records: 300\n"));
+      assert.ok(/^library: books \(/m.test(stdout));
+    });
+  });
+
+  it("evaluates a CSV file through its column map", function(){
+    return run(["evaluate", csv, "--columns", "pcat=place_category,acat=app_category", "--folds", "3", "--seed", "2", "--min-conf", "0.3", "--json"]).then(({code, stdout})=>{
+      assert.strictEqual(code, 0);
+      const report = JSON.parse(stdout);
+      assert.strictEqual(report.mode, "kfold");
+      assert.strictEqual(report.rounds.length, 3);
+    });
+  });
+
+  it("fails with a message for bad arguments", function(){
+    return run(["evaluate", csv, "--columns", "pcat"]).then(({code, stdout, stderr})=>{
+      assert.strictEqual(code, 1);
+      assert.strictEqual(stdout, "");
+      assert.strictEqual(stderr, "apprecom: --columns expects field=column pairs, got pcat\n");
+      return run(["predict", model]);
+    }).then(({code, stderr})=>{
+      assert.strictEqual(code, 1);
+      assert.ok(stderr.startsWith("apprecom: Unknown command: predict"));
+    });
+  });
+});
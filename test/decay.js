@@ -0,0 +1,77 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+import {DAY_MILLISECONDS, makeRecords, ruleTables} from "./support/records";
+
+describe("decay", function(){
+  const records = makeRecords(600, 19);
+  const latest = Math.max(...records.map((record)=> record.timestamp));
+  const file = path.join(os.tmpdir(), `apprecom-test-${process.pid}.ndjson`);
+
+  afterEach(function(){
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  function trained(data, options){
+    const recom = new AppRecom();
+    recom.train(data, 0.02, 0.3, 0.8, Object.assign({seed: 1}, options));
+    return recom;
+  }
+
+  it("halves the weight of a record every half-life before the reference", function(){
+    const reference = Date.UTC(2017, 0, 10);
+    const recom = trained([
+      {pcat: "cafe", acat: "social", timestamp: reference},
+      {pcat: "cafe", acat: "social", timestamp: reference - DAY_MILLISECONDS},
+      {pcat: "cafe", acat: "news", timestamp: reference - 2 * DAY_MILLISECONDS},
+      {pcat: "cafe", acat: "news"}
+    ], {halfLife: DAY_MILLISECONDS, decayReference: reference});
+    assert.strictEqual(recom.counts.itemsets.get(JSON.stringify(["cafe", "social"])), 1.5);
+    assert.strictEqual(recom.counts.itemsets.get(JSON.stringify(["cafe", "news"])), 1.25);
+    assert.strictEqual(recom.counts.weight, 2.75);
+  });
+
+  it("measures ages from the latest timestamp by default", function(){
+    const halfLife = 30 * DAY_MILLISECONDS;
+    const recom = trained(records, {halfLife});
+    assert.strictEqual(recom.params.decayReference, latest);
+    assert.deepStrictEqual(ruleTables(recom), ruleTables(trained(records, {halfLife, decayReference: latest})));
+  });
+
+  it("requires a decay reference to stream records with a half-life", function(){
+    fs.writeFileSync(file, records.map((record)=> JSON.stringify(record)).join("\n"), "utf-8");
+    return AppRecom.fromNDJSON(file, {halfLife: DAY_MILLISECONDS}).then(()=> assert.fail("streamed without a decay reference"), (e)=>{
+      assert.ok(e instanceof InvalidParameterError);
+      assert.strictEqual(e.parameter, "decayReference");
+    });
+  });
+
+  it("streams to the same model as train() with the same reference", function(){
+    const options = {min_support: 0.02, min_conf: 0.3, halfLife: 30 * DAY_MILLISECONDS, decayReference: latest};
+    fs.writeFileSync(file, records.map((record)=> JSON.stringify(record)).join("\n"), "utf-8");
+    return AppRecom.fromNDJSON(file, options).then(({model})=>{
+      assert.deepStrictEqual(ruleTables(model), ruleTables(trained(records, options)));
+    });
+  });
+
+  it("keeps the weights above 0 for records thousands of half-lives old", function(){
+    const recom = trained(records, {halfLife: 60 * 1000});
+    recom.counts.itemsets.forEach((count, itemset)=> assert.ok(count > 0, itemset));
+    const scores = recom.getApps("cafe", {withScores: true});
+    assert.ok(scores.length > 0);
+    scores.forEach((score)=> assert.ok(Number.isFinite(score.score), JSON.stringify(score)));
+  });
+
+  it("keeps the weights finite for records added far past the reference", function(){
+    const recom = trained(records, {halfLife: DAY_MILLISECONDS, decayReference: Date.UTC(2017, 0, 1)});
+    recom.addRecords(records.map((record)=> Object.assign({}, record, {timestamp: record.timestamp + 5 * 365 * DAY_MILLISECONDS})));
+    assert.ok(Number.isFinite(recom.counts.weight));
+    recom.getApps("cafe", {withScores: true}).forEach((score)=> assert.ok(Number.isFinite(score.score), JSON.stringify(score)));
+
+    recom.removeRecords(records.slice(0, 100));
+    assert.ok(Number.isFinite(recom.counts.weight));
+  });
+});
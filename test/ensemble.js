@@ -0,0 +1,92 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import EnsembleRecommender from "../src/EnsembleRecommender";
+import {InvalidParameterError} from "../src/errors";
+import {makeRecords, roundNumbers} from "./support/records";
+
+describe("EnsembleRecommender", function(){
+  const records = makeRecords(600, 22);
+  const rules = new AppRecom();
+  rules.train(records, 0.02, 0.3, 0.8, {seed: 1});
+  const similarity = new AppRecom();
+  similarity.train(records, 0.02, 0.3, 0.8, {seed: 1, strategy: "similarity"});
+
+  function throwsParameter(fn, parameter){
+    assert.throws(fn, (e)=> e instanceof InvalidParameterError && e.parameter == parameter);
+  }
+
+  /*
+    The weighted mean of the min-max normalized scores of the members, 0 where a member does not recommend an app category.
+   */
+  function expectedScores(members, location){
+    const scores = {};
+    const totalWeight = members.reduce((sum, member)=> sum + member.weight, 0);
+    members.forEach((member)=>{
+      const recommendations = member.model.getApps(location, Object.assign({}, member.options, {withScores: true}));
+      const max = Math.max(...recommendations.map((rec)=> rec.score));
+      const min = Math.min(...recommendations.map((rec)=> rec.score));
+      recommendations.forEach((rec)=>{
+        const normalized = max > min ? (rec.score - min) / (max - min) : 1;
+        scores[rec.app] = (scores[rec.app] || 0) + member.weight * normalized / totalWeight;
+      });
+    });
+    return scores;
+  }
+
+  it("fuses the normalized scores of the members by their weights", function(){
+    const members = [
+      {model: rules, weight: 2, name: "rules"},
+      {model: rules, weight: 1, name: "popularity", options: {fallback: ["popularity"]}},
+      {model: similarity, weight: 1, name: "similarity"}
+    ];
+    const ensemble = new EnsembleRecommender(members);
+    const fused = ensemble.getApps("cafe", {withScores: true});
+    const expected = expectedScores(members, "cafe");
+    assert.deepStrictEqual(roundNumbers(fused.map((rec)=> [rec.app, rec.score])), roundNumbers(Object.keys(expected).map((app)=> [app, expected[app]])
+      .sort((a, b)=> b[1] - a[1] || (a[0] < b[0] ? -1 : 1))));
+    assert.deepStrictEqual(fused[0].members.map((member)=> member.name).sort(), ["popularity", "rules", "similarity"]);
+    assert.deepStrictEqual(ensemble.getApps("cafe", {limit: 2}), fused.slice(0, 2).map((rec)=> rec.app));
+  });
+
+  it("fuses the ranks of the members with reciprocal-rank fusion", function(){
+    const ensemble = new EnsembleRecommender([{model: rules, weight: 2}, {model: similarity}], {fusion: "rrf", rrfK: 10});
+    const rulesRanks = rules.getApps("gym");
+    const similarityRanks = similarity.getApps("gym");
+    ensemble.getApps("gym", {withScores: true}).forEach((rec)=>{
+      const rulesRank = rulesRanks.indexOf(rec.app);
+      const similarityRank = similarityRanks.indexOf(rec.app);
+      const score = (rulesRank != -1 ? 2 / (10 + rulesRank + 1) : 0) + (similarityRank != -1 ? 1 / (10 + similarityRank + 1) : 0);
+      assert.strictEqual(roundNumbers(rec.score), roundNumbers(score), rec.app);
+    });
+  });
+
+  it("ranks like its only member", function(){
+    const ensemble = new EnsembleRecommender([{model: rules}], {fusion: "rrf"});
+    ["cafe", "library", "zoo"].forEach((location)=> assert.deepStrictEqual(ensemble.getApps(location), rules.getApps(location)));
+  });
+
+  it("evaluates the ensemble and each member on the same splits", function(){
+    const ensemble = new EnsembleRecommender([{model: rules, name: "rules"}, {model: similarity, name: "similarity"}]);
+    const report = ensemble.evaluate(records, {seed: 4, folds: 3});
+    assert.strictEqual(report.mode, "kfold");
+    assert.strictEqual(report.seed, 4);
+    assert.deepStrictEqual(report.members.map((member)=> member.name), ["rules", "similarity"]);
+    [report].concat(report.members).forEach((scores)=>{
+      ["coverage", "precisionAtK", "recallAtK"].forEach((metric)=> assert.ok(scores[metric] >= 0 && scores[metric] <= 1, metric));
+    });
+    assert.deepStrictEqual(ensemble.evaluate(records, {seed: 4, folds: 3}), report);
+
+    // an ensemble of one member ranks like the member, so it scores like it
+    const single = new EnsembleRecommender([{model: rules}], {fusion: "rrf"}).evaluate(records, {seed: 4});
+    ["coverage", "precisionAtK", "recallAtK"].forEach((metric)=> assert.strictEqual(single[metric], single.members[0][metric], metric));
+  });
+
+  it("rejects missing, untrained and unweighted members and unknown fusions", function(){
+    throwsParameter(()=> new EnsembleRecommender([]), "members");
+    throwsParameter(()=> new EnsembleRecommender([{model: new AppRecom()}]), "members[0].model");
+    throwsParameter(()=> new EnsembleRecommender([{model: rules}, {model: {}}]), "members[1].model");
+    throwsParameter(()=> new EnsembleRecommender([{model: rules, weight: -1}]), "members[0].weight");
+    throwsParameter(()=> new EnsembleRecommender([{model: rules, weight: 0}]), "members");
+    throwsParameter(()=> new EnsembleRecommender([{model: rules}], {fusion: "vote"}), "fusion");
+  });
+});
@@ -0,0 +1,64 @@
+import assert from "assert";
+import AppRecom, {InvalidParameterError, InvalidRecordError} from "../src/AppRecom";
+import {makeRecords} from "./support/records";
+
+/*
+  Asserts that fn throws an InvalidParameterError for the parameter.
+ */
+function throwsParameter(fn, parameter){
+  assert.throws(fn, (e)=> e instanceof InvalidParameterError && e.parameter === parameter);
+}
+
+describe("typed errors", function(){
+  const recom = new AppRecom();
+  recom.train(makeRecords(500, 2), 0.02, 0.3, 0.8, {seed: 1});
+
+  describe("training", function(){
+    it("lists every invalid record", function(){
+      const data = [{pcat: "cafe", acat: "social"}, {pcat: "", acat: "social"}, {pcat: "gym", acat: "fitness", hour: 24}];
+      assert.throws(()=> new AppRecom().train(data), (e)=> e instanceof InvalidRecordError && e.index === 1 && e.field === "pcat" && e.problems.length === 2);
+      const report = new AppRecom().train(data, 0.02, 0.3, 0.8, {skipInvalid: true});
+      assert.deepStrictEqual(report.invalid.map((problem)=> [problem.index, problem.field]), [[1, "pcat"], [2, "hour"]]);
+    });
+
+    it("rejects timestamps outside the range of a Date", function(){
+      assert.throws(()=> new AppRecom().train([{pcat: "a", acat: "b", timestamp: 1e17}]), (e)=> e instanceof InvalidRecordError && e.field === "timestamp");
+      assert.throws(()=> new AppRecom().train([{pcat: "a", acat: "b", timestamp: new Date("not a date")}]), (e)=> e instanceof InvalidRecordError && e.field === "timestamp");
+    });
+
+    it("rejects parameters out of range", function(){
+      throwsParameter(()=> new AppRecom().train([], 2), "min_support");
+      throwsParameter(()=> new AppRecom().train([], 0.02, 0.3, 0.8, {folds: 1}), "folds");
+      throwsParameter(()=> new AppRecom().train([], 0.02, 0.3, 0.8, {k: 0}), "k");
+      throwsParameter(()=> new AppRecom().train([], 0.02, 0.3, 0.8, {taxonomy: "cafe"}), "taxonomy");
+      throwsParameter(()=> new AppRecom().train([], 0.02, 0.3, 0.8, null), "options");
+      throwsParameter(()=> new AppRecom().train("records"), "data");
+    });
+  });
+
+  describe("queries", function(){
+    it("rejects times outside the range of a Date", function(){
+      throwsParameter(()=> recom.getApps("cafe", {time: 1e17}), "time");
+      throwsParameter(()=> recom.getApps("cafe", {time: -8.64e15 - 1}), "time");
+      throwsParameter(()=> recom.getApps("cafe", {time: {timestamp: Infinity}}), "time.timestamp");
+      throwsParameter(()=> recom.getApps("cafe", {time: "monday"}), "time");
+      assert.doesNotThrow(()=> recom.getApps("cafe", {time: 8.64e15}));
+    });
+
+    it("rejects fallback levels that do not exist", function(){
+      throwsParameter(()=> recom.getApps("cafe", {fallback: "exact"}), "fallback");
+      throwsParameter(()=> recom.getApps("cafe", {fallback: ["exact", "nearby"]}), "fallback");
+    });
+
+    it("rejects bad locations and options", function(){
+      throwsParameter(()=> recom.getApps(42), "location");
+      throwsParameter(()=> recom.getApps("cafe", {limit: -1}), "limit");
+      throwsParameter(()=> recom.getApps("cafe", {exclude: "social"}), "exclude");
+      throwsParameter(()=> recom.getApps("cafe", {diversity: 2}), "diversity");
+      throwsParameter(()=> recom.getApps("cafe", {minConfidence: -0.1}), "minConfidence");
+      throwsParameter(()=> recom.getApps("cafe", {userId: {}}), "userId");
+      throwsParameter(()=> recom.getApps({pname: 7, pcat: "cafe"}), "location.pname");
+      throwsParameter(()=> recom.getApps("cafe", null), "options");
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {makeRecords} from "./support/records";
+
+/*
+  Records of place categories that always use the same app category, plus a
+  place category whose records never agree on one.
+ */
+function predictableRecords(){
+  const records = [];
+  for (let i = 0; i < 40; i++) records.push({pcat: "cafe", acat: "social"}, {pcat: "gym", acat: "fitness"});
+  for (let i = 0; i < 20; i++) records.push({pcat: "zoo", acat: `app ${i}`});
+  return records;
+}
+
+describe("evaluate()", function(){
+  it("reports the metrics of every round and of every place category", function(){
+    const report = new AppRecom().evaluate(predictableRecords(), 0.02, 0.8, 0.8, {seed: 1});
+    assert.strictEqual(report.k, 3);
+    assert.strictEqual(report.rounds.length, 5);
+    report.rounds.forEach((round, i)=>{
+      assert.strictEqual(round.round, i + 1);
+      assert.strictEqual(round.training + round.testing, 100);
+    });
+    assert.strictEqual(report.averageError, 0);
+    assert.strictEqual(report.categories.cafe.coverage, 1);
+    assert.strictEqual(report.categories.cafe.recall, 1);
+    assert.strictEqual(report.categories.gym.precision, 1);
+    assert.strictEqual(report.categories.zoo.coverage, 0);
+    assert.strictEqual(report.categories.zoo.recall, 0);
+    assert.ok(report.coverage > 0.7 && report.coverage < 0.9);
+  });
+
+  it("leaves the model as it was", function(){
+    const recom = new AppRecom();
+    recom.evaluate(predictableRecords(), 0.02, 0.8, 0.8, {seed: 1});
+    assert.strictEqual(recom.params, null);
+    assert.deepStrictEqual(recom.rules, {});
+  });
+
+  it("reports the same evaluation from train() as from evaluate()", function(){
+    const records = makeRecords(800, 5);
+    const report = new AppRecom().train(records, 0.02, 0.3, 0.8, {seed: 3});
+    const evaluation = new AppRecom().evaluate(records, 0.02, 0.3, 0.8, {seed: 3});
+    assert.deepStrictEqual(report, evaluation);
+    assert.deepStrictEqual(report.invalid, []);
+  });
+});
+
+describe("seeded evaluation", function(){
+  const records = makeRecords(800, 5);
+
+  it("reports identical metrics for the same seed", function(){
+    const first = new AppRecom().evaluate(records, 0.02, 0.3, 0.8, {seed: 42});
+    const second = new AppRecom().evaluate(records, 0.02, 0.3, 0.8, {seed: 42});
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.mode, "holdout");
+    assert.strictEqual(first.seed, 42);
+  });
+
+  it("reports identical metrics for the same seed with stratified folds", function(){
+    const options = {seed: 7, folds: 4, stratify: true};
+    const first = new AppRecom().evaluate(records, 0.02, 0.3, 0.8, options);
+    const second = new AppRecom().evaluate(records, 0.02, 0.3, 0.8, options);
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(first.mode, "kfold");
+    assert.strictEqual(first.rounds.length, 4);
+    assert.strictEqual(first.rounds.reduce((total, round)=> total + round.testing, 0), records.length); // every record is tested once
+  });
+
+  it("keeps the share of each place category in every stratified fold", function(){
+    const recom = new AppRecom();
+    const splits = recom._splitData(records, 0.8, {seed: 7, folds: 4, stratify: true});
+    const cafes = records.filter((record)=> record.pcat == "cafe").length;
+    splits.forEach((split)=>{
+      const testing = split.testing.filter((record)=> record.pcat == "cafe").length;
+      assert.ok(Math.abs(testing - cafes / 4) <= 1);
+    });
+  });
+
+  it("shuffles differently for another seed", function(){
+    const first = new AppRecom()._splitData(records, 0.8, {seed: 1, folds: 4});
+    const second = new AppRecom()._splitData(records, 0.8, {seed: 2, folds: 4});
+    assert.notDeepStrictEqual(first[0].testing, second[0].testing);
+  });
+});
@@ -0,0 +1,89 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+
+describe("explain()", function(){
+  const data = [
+    {pname: "Blue Cafe", pcat: "cafe", acat: "social"},
+    {pname: "Blue Cafe", pcat: "cafe", acat: "social"},
+    {pname: "Blue Cafe", pcat: "cafe", acat: "social"},
+    {pcat: "cafe", acat: "news"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"}
+  ];
+  const recom = new AppRecom();
+  recom.train(data, 0.1, 0.5, 0.8, {seed: 1});
+  const thresholds = {min_support: 0.1, min_conf: 0.5, minLift: 0, minLeverage: -1, minConviction: 0};
+
+  it("explains a recommendation with the counts and metrics of its rule", function(){
+    assert.deepStrictEqual(recom.explain("cafe", "social"), {
+      app: "social",
+      location: {pcat: "cafe"},
+      recommended: true,
+      rank: 1,
+      score: 0.75,
+      level: "exact",
+      path: [{level: "place", rules: 0}, {level: "context", rules: 0}, {level: "exact", rules: 1}],
+      ruleLevel: "exact",
+      hypothesis: "cafe",
+      itemsetCount: 3,
+      hypothesisFrequency: 4,
+      conclusionFrequency: 3,
+      records: 8,
+      support: 0.375,
+      confidence: 0.75,
+      lift: 2,
+      leverage: 0.1875,
+      conviction: 2.5,
+      thresholds,
+      failed: [],
+      strategy: "rules"
+    });
+  });
+
+  it("names the thresholds an app category that is not recommended missed", function(){
+    const explanation = recom.explain("cafe", "news");
+    assert.strictEqual(explanation.recommended, false);
+    assert.strictEqual(explanation.rank, null);
+    assert.strictEqual(explanation.confidence, 0.25);
+    assert.deepStrictEqual(explanation.failed, ["min_conf"]);
+
+    const fitness = recom.explain("cafe", "fitness", {fallback: ["exact"]});
+    assert.strictEqual(fitness.itemsetCount, 0);
+    assert.deepStrictEqual(fitness.failed, ["min_support", "min_conf"]);
+  });
+
+  it("explains the rule of a named place", function(){
+    const explanation = recom.explain({pname: "Blue Cafe", pcat: "cafe"}, "social");
+    assert.strictEqual(explanation.level, "place");
+    assert.deepStrictEqual(explanation.path, [{level: "place", rules: 1}]);
+    assert.strictEqual(explanation.hypothesis, "Blue Cafe cafe");
+    assert.strictEqual(explanation.hypothesisFrequency, 3);
+    assert.strictEqual(explanation.confidence, 1);
+  });
+
+  it("explains the fallback to popularity for an unknown place category", function(){
+    const explanation = recom.explain("zoo", "fitness");
+    assert.strictEqual(explanation.level, "popularity");
+    assert.deepStrictEqual(explanation.path.map((step)=> step.level), ["place", "context", "exact", "parent", "popularity"]);
+    assert.strictEqual(explanation.hypothesis, null);
+    assert.strictEqual(explanation.support, 0.5);
+    assert.deepStrictEqual(explanation.thresholds, {});
+    assert.strictEqual(explanation.score, recom.getApps("zoo", {withScores: true})[0].score);
+  });
+
+  it("agrees with getApps() on the rank and score", function(){
+    recom.getApps("cafe", {withScores: true}).forEach((rec, index)=>{
+      const explanation = recom.explain("cafe", rec.app);
+      assert.strictEqual(explanation.rank, index + 1);
+      assert.strictEqual(explanation.score, rec.score);
+    });
+  });
+
+  it("rejects a missing app category and an untrained model", function(){
+    assert.throws(()=> recom.explain("cafe", ""), (e)=> e instanceof InvalidParameterError && e.parameter == "app");
+    assert.throws(()=> new AppRecom().explain("cafe", "social"), /must be trained/);
+  });
+});
@@ -0,0 +1,95 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+import {makeRecords, roundNumbers} from "./support/records";
+
+describe("feedback", function(){
+  const records = makeRecords(800, 24);
+
+  function trained(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.1, 0.8, {seed: 1});
+    return recom;
+  }
+
+  function record(recom, location, app, outcome, times = 1){
+    for (let i = 0; i < times; i++) recom.recordFeedback({location, app, outcome});
+  }
+
+  function scoreOf(recom, location, app, options = {}){
+    const rec = recom.getApps(location, Object.assign({withScores: true}, options)).find((candidate)=> candidate.app == app);
+    return rec ? roundNumbers(rec.score) : null;
+  }
+
+  function throwsParameter(fn, parameter){
+    assert.throws(fn, (e)=> e instanceof InvalidParameterError && e.parameter == parameter);
+  }
+
+  it("lowers the score of dismissed app categories, offset by their acceptances", function(){
+    const recom = trained();
+    const [top, second] = recom.getApps("cafe", {withScores: true});
+    record(recom, "cafe", top.app, "dismissed");
+    assert.strictEqual(scoreOf(recom, "cafe", top.app), roundNumbers(top.score * 5 / 6));
+    record(recom, "cafe", top.app, "accepted");
+    assert.strictEqual(scoreOf(recom, "cafe", top.app), roundNumbers(top.score * 6 / 7));
+    assert.strictEqual(scoreOf(recom, "cafe", second.app), roundNumbers(second.score)); // acceptances alone leave a score be
+    assert.strictEqual(scoreOf(recom, "cafe", top.app, {feedbackPrior: 1}), roundNumbers(top.score * 2 / 3));
+    assert.strictEqual(scoreOf(recom, "cafe", top.app, {feedback: false}), roundNumbers(top.score));
+  });
+
+  it("re-ranks the recommendations on their lowered scores", function(){
+    const recom = trained();
+    const [top, second] = recom.getApps("cafe", {withScores: true});
+    record(recom, "cafe", top.app, "dismissed", 2);
+    const ranked = recom.getApps("cafe", {withScores: true, feedbackPrior: 0}); // without a prior, a dismissal takes the whole score
+    assert.strictEqual(ranked[0].app, second.app);
+    assert.deepStrictEqual(ranked[ranked.length - 1], Object.assign({}, top, {score: 0}));
+  });
+
+  it("suppresses app categories dismissed more often than accepted by suppressAfter", function(){
+    const recom = trained();
+    const top = recom.getApps("airport")[0];
+    record(recom, "airport", top, "dismissed", 3);
+    assert.strictEqual(recom.getApps("airport").indexOf(top), -1);
+    assert.notStrictEqual(recom.getApps("airport", {suppressAfter: 4}).indexOf(top), -1);
+    assert.notStrictEqual(recom.getApps("airport", {feedback: false}).indexOf(top), -1);
+    assert.ok(!recom.getAppsNear({lat: 47.45, lng: -122.31}, {withScores: true}).some((rec)=> rec.app == top && rec.level == "near"));
+
+    record(recom, "airport", top, "accepted");
+    assert.notStrictEqual(recom.getApps("airport").indexOf(top), -1);
+  });
+
+  it("applies the feedback of a place category to its place names, but not the other way around", function(){
+    const recom = trained();
+    const cafe = {pname: "Blue Cafe", pcat: "cafe"};
+    const top = recom.getApps(cafe, {withScores: true})[0];
+    record(recom, "cafe", top.app, "dismissed");
+    record(recom, cafe, top.app, "dismissed");
+    assert.strictEqual(scoreOf(recom, cafe, top.app), roundNumbers(top.score * 5 / 7));
+    assert.deepStrictEqual(recom.feedback[JSON.stringify(["Blue Cafe", "cafe"])], {[top.app]: {accepted: 0, dismissed: 1}});
+
+    const other = trained();
+    const categoryTop = other.getApps("cafe", {withScores: true})[0];
+    record(other, {pname: "Corner Cafe", pcat: "cafe"}, categoryTop.app, "dismissed", 3);
+    assert.strictEqual(scoreOf(other, "cafe", categoryTop.app), roundNumbers(categoryTop.score));
+  });
+
+  it("keeps the feedback through training again and explains it", function(){
+    const recom = trained();
+    const top = recom.getApps("gym")[0];
+    const tally = recom.recordFeedback({location: "gym", app: top, outcome: "dismissed"});
+    assert.deepStrictEqual(tally, {accepted: 0, dismissed: 1});
+    recom.train(records.slice(0, 600), 0.02, 0.1, 0.8, {seed: 1});
+    assert.deepStrictEqual(recom.explain("gym", top).feedback, {accepted: 0, dismissed: 1, factor: 5 / 6, suppressed: false});
+    assert.strictEqual(recom.explain("gym", top, {feedback: false}).feedback, undefined);
+  });
+
+  it("rejects feedback without a location, an app category or a known outcome", function(){
+    const recom = trained();
+    throwsParameter(()=> recom.recordFeedback(), "feedback");
+    throwsParameter(()=> recom.recordFeedback({app: "news", outcome: "dismissed"}), "location");
+    throwsParameter(()=> recom.recordFeedback({location: "cafe", outcome: "dismissed"}), "app");
+    throwsParameter(()=> recom.recordFeedback({location: "cafe", app: "news", outcome: "liked"}), "outcome");
+    assert.deepStrictEqual(recom.feedback, {});
+  });
+});
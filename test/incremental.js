@@ -0,0 +1,56 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {DAY_MILLISECONDS, makeRecords, ruleTables} from "./support/records";
+
+const TAXONOMY = {cafe: "food_and_drink", bar: "food_and_drink"};
+
+describe("addRecords() and removeRecords()", function(){
+  const records = makeRecords(1200, 3);
+  const options = {seed: 1, taxonomy: TAXONOMY, minPlaceSupport: 0.01, minContextSupport: 0.01};
+
+  function trained(data, extra = {}){
+    const recom = new AppRecom();
+    recom.train(data, 0.02, 0.3, 0.8, Object.assign({}, options, extra));
+    return recom;
+  }
+
+  it("adds records like training on all of them", function(){
+    const full = trained(records);
+    const incremental = trained(records.slice(0, 700));
+    incremental.addRecords(records.slice(700, 1000));
+    incremental.addRecords(records.slice(1000));
+    assert.deepStrictEqual(ruleTables(incremental), ruleTables(full));
+    assert.deepStrictEqual(incremental.getApps({pname: "Blue Cafe", pcat: "cafe"}, {withScores: true}), full.getApps({pname: "Blue Cafe", pcat: "cafe"}, {withScores: true}));
+  });
+
+  it("removes records like training without them", function(){
+    const full = trained(records.slice(0, 900));
+    const decremental = trained(records);
+    decremental.removeRecords(records.slice(900));
+    assert.deepStrictEqual(ruleTables(decremental), ruleTables(full));
+    assert.strictEqual(decremental.counts.records, 900);
+  });
+
+  it("weighs added records with the decay of the model", function(){
+    const decay = {halfLife: 30 * DAY_MILLISECONDS, decayReference: Date.UTC(2017, 3, 1)};
+    const full = trained(records, decay);
+    const incremental = trained(records.slice(0, 600), decay);
+    incremental.addRecords(records.slice(600));
+    assert.deepStrictEqual(ruleTables(incremental), ruleTables(full));
+
+    incremental.removeRecords(records.slice(600));
+    assert.deepStrictEqual(ruleTables(incremental), ruleTables(trained(records.slice(0, 600), decay)));
+  });
+
+  it("keeps the similarity strategy up to date", function(){
+    const full = trained(records, {strategy: "similarity"});
+    const incremental = trained(records.slice(0, 800), {strategy: "similarity"});
+    incremental.addRecords(records.slice(800));
+    assert.deepStrictEqual(incremental.getApps("library", {withScores: true}), full.getApps("library", {withScores: true}));
+  });
+
+  it("refuses to remove records that were never added", function(){
+    const recom = trained(records.slice(0, 100));
+    assert.throws(()=> recom.removeRecords([{pcat: "zoo", acat: "games"}]), /not part of the model/);
+  });
+});
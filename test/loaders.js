@@ -0,0 +1,79 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AppRecom from "../src/AppRecom";
+import {readCSV, readNDJSON} from "../src/loaders";
+import {ruleTables} from "./support/records";
+
+describe("loaders", function(){
+  const file = path.join(os.tmpdir(), `apprecom-test-${process.pid}`);
+
+  afterEach(function(){
+    [".csv", ".ndjson"].forEach((extension)=>{ if (fs.existsSync(file + extension)) fs.unlinkSync(file + extension); });
+  });
+
+  /*
+    Writes the lines to the test file and streams its records.
+   */
+  function read(extension, lines, columnMap = {}){
+    fs.writeFileSync(file + extension, lines.join("\n"), "utf-8");
+    const records = [];
+    const onRecord = (record)=> records.push(record);
+    const reading = extension == ".csv" ? readCSV(file + extension, columnMap, onRecord) : readNDJSON(file + extension, onRecord);
+    return reading.then((report)=> ({records, report}));
+  }
+
+  it("reads CSV records through the column map, with quoted fields and numbers", function(){
+    return read(".csv", ["place_category,app_category,pname,lat,lng", "cafe,social,\"Blue \"\"Corner\"\" Cafe, Downtown\",47.61,-122.33", "gym,fitness,,,"], {pcat: "place_category", acat: "app_category"})
+      .then(({records, report})=>{
+        assert.deepStrictEqual(records, [
+          {pcat: "cafe", acat: "social", pname: "Blue \"Corner\" Cafe, Downtown", lat: 47.61, lng: -122.33},
+          {pcat: "gym", acat: "fitness"}
+        ]);
+        assert.deepStrictEqual(report, {records: 2, malformed: []});
+      });
+  });
+
+  it("skips and reports the malformed CSV lines", function(){
+    return read(".csv", ["pcat,acat,hour", "cafe,social,8", "cafe,social", "cafe,\"social,8", "cafe,social,noon", "cafe,social,25", "", "gym,fitness,7"]).then(({records, report})=>{
+      assert.deepStrictEqual(records.map((record)=> record.acat), ["social", "fitness"]);
+      assert.deepStrictEqual(report.malformed.map((problem)=> problem.line), [3, 4, 5, 6]);
+      assert.strictEqual(report.malformed[0].message, "Expected 3 columns, found 2");
+    });
+  });
+
+  it("reads a CSV file that starts with a byte order mark", function(){
+    return read(".csv", ["\uFEFFpcat,acat", "cafe,social"]).then(({records})=> assert.deepStrictEqual(records, [{pcat: "cafe", acat: "social"}]));
+  });
+
+  it("rejects a CSV header without the required columns", function(){
+    return read(".csv", ["place,app", "cafe,social"]).then(()=> assert.fail("read"), (e)=> assert.strictEqual(e.message, "CSV header has no column for pcat, acat"));
+  });
+
+  it("reads NDJSON records and reports the malformed lines", function(){
+    return read(".ndjson", ["\uFEFF{\"pcat\": \"cafe\", \"acat\": \"social\", \"userId\": 7}", "{not json", "[1, 2]", "{\"pcat\": \"gym\"}", "{\"pcat\": \"gym\", \"acat\": \"fitness\"}"]).then(({records, report})=>{
+      assert.deepStrictEqual(records, [{pcat: "cafe", acat: "social", userId: 7}, {pcat: "gym", acat: "fitness"}]);
+      assert.deepStrictEqual(report.malformed.map((problem)=> problem.line), [2, 3, 4]);
+      assert.strictEqual(report.malformed[2].message, "acat must be a non-empty string");
+    });
+  });
+
+  it("rejects a file that does not exist", function(){
+    return readNDJSON(file + ".missing", ()=>{}).then(()=> assert.fail("read"), (e)=> assert.strictEqual(e.code, "ENOENT"));
+  });
+
+  it("trains the same rules from a stream as from an array", function(){
+    const data = [];
+    for (let i = 0; i < 30; i++) data.push({pcat: i % 2 ? "cafe" : "gym", acat: i % 3 ? "social" : "fitness", pname: `place ${i % 4}`});
+    const recom = new AppRecom();
+    recom.train(data, 0.05, 0.3, 0.8, {seed: 1});
+    fs.writeFileSync(file + ".ndjson", data.map((record)=> JSON.stringify(record)).join("\n"), "utf-8");
+    return AppRecom.fromNDJSON(file + ".ndjson", {min_support: 0.05, min_conf: 0.3}).then(({model, report})=>{
+      assert.deepStrictEqual(report, {records: 30, malformed: []});
+      assert.deepStrictEqual(ruleTables(model), ruleTables(recom));
+      fs.writeFileSync(file + ".csv", ["category,app,pname"].concat(data.map((record)=> `${record.pcat},${record.acat},${record.pname}`)).join("\n"), "utf-8");
+      return AppRecom.fromCSV(file + ".csv", {pcat: "category", acat: "app"}, {min_support: 0.05, min_conf: 0.3});
+    }).then(({model})=> assert.deepStrictEqual(ruleTables(model), ruleTables(recom)));
+  });
+});
@@ -0,0 +1,108 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+import {createLogger} from "../src/logger";
+import {makeRecords} from "./support/records";
+
+describe("logging and events", function(){
+  const records = makeRecords(300, 23);
+
+  /*
+    A logger that keeps its messages as [level, message, fields].
+   */
+  function recordingLogger(){
+    const messages = [];
+    const logger = {messages};
+    ["debug", "info", "warn", "error"].forEach((level)=> logger[level] = (message, fields)=> messages.push([level, message, fields]));
+    return logger;
+  }
+
+  function throwsParameter(fn, parameter){
+    assert.throws(fn, (e)=> e instanceof InvalidParameterError && e.parameter == parameter);
+  }
+
+  it("passes on the messages at or above the level with their fields", function(){
+    const logger = recordingLogger();
+    const levelled = createLogger(logger, "info");
+    levelled.debug("hidden", {a: 1});
+    levelled.info("counted", {records: 3});
+    levelled.warn("slow");
+    levelled.error("failed", {code: 1});
+    assert.strictEqual(levelled.level, "info");
+    assert.deepStrictEqual(logger.messages, [["info", "counted", {records: 3}], ["warn", "slow", {}], ["error", "failed", {code: 1}]]);
+
+    const silent = recordingLogger();
+    const quiet = createLogger(silent, "silent");
+    ["debug", "info", "warn", "error"].forEach((level)=> quiet[level]("anything"));
+    assert.deepStrictEqual(silent.messages, []);
+  });
+
+  it("logs training to the logger of the model", function(){
+    const logger = recordingLogger();
+    const recom = new AppRecom({logger, logLevel: "info"});
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    assert.ok(logger.messages.every(([level])=> level != "debug"));
+    const trained = logger.messages.find(([, message])=> /^Trained on/.test(message));
+    assert.deepStrictEqual(trained[2], {params: recom.params, records: 300, weight: 300,
+      rules: Object.keys(recom.rules).reduce((sum, pcat)=> sum + recom.rules[pcat].length, 0)});
+
+    const debug = recordingLogger();
+    new AppRecom({logger: debug, logLevel: "debug"}).train(records, 0.02, 0.3, 0.8, {seed: 1});
+    assert.ok(debug.messages.some(([level, message])=> level == "debug" && /^Round 1 of 5/.test(message)));
+  });
+
+  it("plugs in a logger that takes the fields first through an adapter", function(){
+    const lines = [];
+    const pinoLike = {};
+    ["debug", "info", "warn", "error"].forEach((level)=> pinoLike[level] = (fields, message)=> lines.push({level, fields, message}));
+    const logger = {};
+    ["debug", "info", "warn", "error"].forEach((level)=> logger[level] = (message, fields)=> pinoLike[level](fields, message));
+    new AppRecom({logger, logLevel: "info"}).train(records, 0.02, 0.3, 0.8, {seed: 1});
+    const counted = lines.find((line)=> /^Counted 300 records/.test(line.message));
+    assert.strictEqual(counted.level, "info");
+    assert.strictEqual(counted.fields.records, 300);
+  });
+
+  it("emits the lifecycle of training with structured payloads", function(){
+    const recom = new AppRecom({logLevel: "silent"});
+    const events = [];
+    ["itemsetsCounted", "roundEvaluated", "rulesGenerated", "trained"].forEach((name)=> recom.on(name, (payload)=> events.push([name, payload])));
+    const report = recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+
+    assert.deepStrictEqual(events.map(([name])=> name), ["itemsetsCounted"].concat(report.rounds.map(()=> "roundEvaluated"), ["rulesGenerated", "trained"]));
+    const [counted, rounds, generated, trained] = [events[0][1], events.slice(1, -2).map(([, payload])=> payload), events[events.length - 2][1], events[events.length - 1][1]];
+    assert.strictEqual(counted.records, 300);
+    assert.strictEqual(counted.itemsets, recom.counts.itemsets.size);
+    assert.strictEqual(counted.placeCategories, recom.counts.pcat.size);
+    rounds.forEach((round, i)=>{
+      assert.strictEqual(round.round, i + 1);
+      assert.strictEqual(round.rounds, report.rounds.length);
+      assert.strictEqual(round.k, 3);
+      assert.strictEqual(round.coverage, report.rounds[i].coverage);
+    });
+    assert.strictEqual(generated.locations, Object.keys(recom.rules).length);
+    assert.strictEqual(generated.popularity, recom.popularity.length);
+    assert.strictEqual(trained.rules, generated.rules);
+    assert.strictEqual(trained.params, recom.params);
+  });
+
+  it("emits the feedback that is recorded", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    const feedback = [];
+    recom.on("feedbackRecorded", (payload)=> feedback.push(payload));
+    recom.recordFeedback({location: "cafe", app: "news", outcome: "dismissed"});
+    recom.recordFeedback({location: {pname: "Blue Cafe", pcat: "cafe"}, app: "news", outcome: "accepted"});
+    assert.deepStrictEqual(feedback, [
+      {location: {pcat: "cafe"}, app: "news", outcome: "dismissed", accepted: 0, dismissed: 1},
+      {location: {pname: "Blue Cafe", pcat: "cafe"}, app: "news", outcome: "accepted", accepted: 1, dismissed: 0}
+    ]);
+  });
+
+  it("rejects loggers without the levels and unknown levels", function(){
+    throwsParameter(()=> new AppRecom({logger: {}}), "logger");
+    throwsParameter(()=> new AppRecom({logger: {info(){}}}), "logger");
+    throwsParameter(()=> new AppRecom({logLevel: "loud"}), "logLevel");
+    assert.strictEqual(new AppRecom(true).logger.level, "debug");
+  });
+});
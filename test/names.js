@@ -0,0 +1,34 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+
+/*
+  Twenty records of named apps at a cafe and a gym.
+ */
+function records(){
+  const counts = [
+    ["cafe", "social", "Chat", 4], ["cafe", "social", "Pics", 2], ["cafe", "news", "Daily", 3], ["cafe", "music", "Tunes", 1],
+    ["gym", "fitness", "Run", 8], ["gym", "music", "Beats", 2]
+  ];
+  return [].concat(...counts.map(([pcat, acat, aname, count])=> Array.from({length: count}, ()=> ({pcat, acat, aname}))));
+}
+
+describe("getAppNames()", function(){
+  const recom = new AppRecom();
+  recom.train(records(), 0.05, 0.05, 0.8, {seed: 1});
+
+  it("ranks the app names inside each recommended category", function(){
+    assert.deepStrictEqual(recom.getAppNames("cafe"), ["Chat", "Pics", "Daily", "Tunes"]);
+    assert.deepStrictEqual(recom.getAppNames("cafe", {perCategory: 1}), ["Chat", "Daily", "Tunes"]);
+    assert.deepStrictEqual(recom.getAppNames("cafe", {limit: 2}), ["Chat", "Pics"]);
+  });
+
+  it("scores the names on their place category rules", function(){
+    const [chat] = recom.getAppNames("cafe", {withScores: true});
+    assert.deepStrictEqual(chat, {name: "Chat", app: "social", score: 0.4, support: 0.2, confidence: 0.4, count: 4, level: "exact"});
+  });
+
+  it("ranks the names of fallback categories on their popularity", function(){
+    const names = recom.getAppNames("zoo", {perCategory: 1, withScores: true});
+    assert.deepStrictEqual(names.map((rec)=> [rec.name, rec.app, rec.level]), [["Run", "fitness", "popularity"], ["Chat", "social", "popularity"], ["Beats", "music", "popularity"], ["Daily", "news", "popularity"]]);
+  });
+});
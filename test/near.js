@@ -0,0 +1,70 @@
+import assert from "assert";
+import AppRecom, {InvalidParameterError} from "../src/AppRecom";
+import GridIndex from "../src/GridIndex";
+
+/*
+  A cafe, a gym about 200m north of it and a bar about 5km away.
+ */
+function records(){
+  const places = [
+    ["Blue Cafe", "cafe", 47.61, -122.33, [["social", 8], ["news", 2]]],
+    ["Iron Gym", "gym", 47.6118, -122.33, [["fitness", 10]]],
+    ["Far Bar", "bar", 47.655, -122.33, [["music", 10]]]
+  ];
+  const data = [];
+  places.forEach(([pname, pcat, lat, lng, apps])=> apps.forEach(([acat, count])=>{
+    for (let i = 0; i < count; i++) data.push({pname, pcat, acat, lat, lng});
+  }));
+  return data;
+}
+
+describe("GridIndex", function(){
+  it("finds the items within a radius, closest first", function(){
+    const index = new GridIndex();
+    index.insert({name: "here", lat: 47.61, lng: -122.33});
+    index.insert({name: "close", lat: 47.612, lng: -122.33});
+    index.insert({name: "far", lat: 47.7, lng: -122.33});
+    assert.deepStrictEqual(index.near(47.61, -122.33, 500).map((match)=> match.item.name), ["here", "close"]);
+    assert.deepStrictEqual(index.near(47.61, -122.33, 500, 1).map((match)=> match.item.name), ["here"]);
+    assert.ok(Math.abs(index.near(47.61, -122.33, 500)[1].distance - 222) < 1);
+  });
+
+  it("finds places across the antimeridian", function(){
+    const index = new GridIndex();
+    index.insert({name: "east", lat: 10, lng: 179.9999});
+    index.insert({name: "west", lat: 10, lng: -179.9999});
+    for (let i = 0; i < 20; i++) index.insert({name: `filler ${i}`, lat: -40 + i, lng: 0});
+    assert.deepStrictEqual(index.near(10, 179.9999, 100).map((match)=> match.item.name), ["east", "west"]);
+    assert.deepStrictEqual(index.near(10, -179.9999, 100).map((match)=> match.item.name), ["west", "east"]);
+  });
+});
+
+describe("getAppsNear()", function(){
+  const recom = new AppRecom();
+  recom.train(records(), 0.05, 0.05, 0.8, {seed: 1});
+  const point = {lat: 47.61, lng: -122.33};
+
+  it("blends the rules of the nearby places, closer places counting for more", function(){
+    const scored = recom.getAppsNear(point, {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.level]), [["social", "near"], ["fitness", "near"], ["news", "near"]]);
+    const gymWeight = 1 / (1 + 200 / 500);
+    assert.ok(Math.abs(scored[1].score - gymWeight / (1 + gymWeight)) < 0.001);
+  });
+
+  it("keeps to the radius and the number of places asked for", function(){
+    assert.deepStrictEqual(recom.getAppsNear(point, {radiusMeters: 100}), ["social", "news"]);
+    assert.deepStrictEqual(recom.getAppsNear(point, {k: 1}), ["social", "news"]);
+    assert.ok(recom.getAppsNear(point, {radiusMeters: 6000}).indexOf("music") != -1);
+  });
+
+  it("falls back to the most popular app categories without nearby places", function(){
+    const scored = recom.getAppsNear({lat: 0, lng: 0}, {withScores: true});
+    assert.ok(scored.length && scored.every((rec)=> rec.level == "popularity"));
+    assert.deepStrictEqual(recom.getAppsNear({lat: 0, lng: 0}, {fallback: false}), []);
+  });
+
+  it("rejects a radius that is not above 0", function(){
+    assert.throws(()=> recom.getAppsNear(point, {radiusMeters: 0}), (e)=> e instanceof InvalidParameterError && e.parameter == "radiusMeters");
+    assert.throws(()=> recom.getAppsNear({lat: 91, lng: 0}), (e)=> e instanceof InvalidParameterError && e.parameter == "point");
+  });
+});
@@ -0,0 +1,85 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AppRecom from "../src/AppRecom";
+import {makeRecords} from "./support/records";
+
+describe("save() and load()", function(){
+  const records = makeRecords(600, 11);
+  const file = path.join(os.tmpdir(), `apprecom-test-${process.pid}.json`);
+
+  afterEach(function(){
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  function assertSameRecommendations(loaded, recom){
+    const queries = ["cafe", {pname: "Blue Cafe", pcat: "cafe"}, "library", "zoo"];
+    queries.forEach((location)=> assert.deepStrictEqual(loaded.getApps(location, {withScores: true}), recom.getApps(location, {withScores: true})));
+    assert.deepStrictEqual(loaded.getAppNames("gym", {withScores: true}), recom.getAppNames("gym", {withScores: true}));
+    assert.deepStrictEqual(loaded.getAppsNear({lat: 47.61, lng: -122.33}), recom.getAppsNear({lat: 47.61, lng: -122.33}));
+    assert.deepStrictEqual(loaded.explain("airport", "travel"), recom.explain("airport", "travel"));
+  }
+
+  it("restores a model that recommends the same", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1, taxonomy: {cafe: "food_and_drink"}});
+    recom.save(file);
+    const loaded = AppRecom.load(file);
+    assertSameRecommendations(loaded, recom);
+    assert.strictEqual(JSON.stringify(loaded), JSON.stringify(recom));
+  });
+
+  it("restores the strategy, the decay and the feedback", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1, strategy: "similarity", strategyOptions: {neighbors: 2}, halfLife: 7 * 24 * 60 * 60 * 1000});
+    recom.recordFeedback({location: "cafe", app: "social", outcome: "dismissed"});
+    recom.save(file);
+    const loaded = AppRecom.load(file);
+    assert.strictEqual(loaded.params.strategy, "similarity");
+    assert.strictEqual(loaded.strategy.neighbors, 2);
+    assert.deepStrictEqual(loaded.feedback, recom.feedback);
+    assertSameRecommendations(loaded, recom);
+
+    // records added after loading are weighed like those added to the original
+    loaded.addRecords(records.slice(0, 50));
+    recom.addRecords(records.slice(0, 50));
+    assert.strictEqual(JSON.stringify(loaded), JSON.stringify(recom));
+  });
+
+  it("round-trips through toJSON() and fromJSON() without the file system", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    assertSameRecommendations(AppRecom.fromJSON(recom.toJSON()), recom);
+    assertSameRecommendations(AppRecom.fromJSON(JSON.stringify(recom)), recom);
+  });
+
+  it("shares no state with the model it was restored from", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1, taxonomy: {cafe: "food_and_drink"}});
+    recom.recordFeedback({location: "cafe", app: "news", outcome: "accepted"});
+    const before = JSON.stringify(recom);
+    const copy = AppRecom.fromJSON(recom.toJSON());
+    assert.notStrictEqual(copy.rules, recom.rules);
+
+    copy.recordFeedback({location: "cafe", app: "social", outcome: "dismissed"});
+    copy.recordFeedback({location: "cafe", app: "news", outcome: "dismissed"});
+    copy.rules.cafe.pop();
+    copy.popularity.pop();
+    copy.taxonomy.gym = "sports";
+    copy.addRecords(records.slice(0, 20));
+    assert.strictEqual(JSON.stringify(recom), before);
+  });
+
+  it("rejects corrupt models and other versions", function(){
+    const recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    assert.throws(()=> AppRecom.fromJSON("{not json"), /Corrupt model/);
+    assert.throws(()=> AppRecom.fromJSON(Object.assign(recom.toJSON(), {version: 1})), /Incompatible model version 1/);
+    assert.throws(()=> AppRecom.fromJSON(Object.assign(recom.toJSON(), {rules: {cafe: "social"}})), /Corrupt model: rules/);
+    const json = recom.toJSON();
+    delete json.counts.userItemsets;
+    assert.throws(()=> AppRecom.fromJSON(json), /Corrupt model: counts.userItemsets/);
+    assert.throws(()=> AppRecom.fromJSON(Object.assign(recom.toJSON(), {contextRules: undefined})), /Corrupt model: contextRules/);
+  });
+});
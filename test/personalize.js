@@ -0,0 +1,38 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {roundNumbers} from "./support/records";
+
+/*
+  Cafe visits where everyone uses social and news, and user 7 plays games.
+ */
+function records(){
+  const data = [];
+  for (let i = 0; i < 10; i++) data.push({pcat: "cafe", acat: "social", userId: `user-${i}`}, {pcat: "cafe", acat: "news", userId: `user-${i}`});
+  for (let i = 0; i < 5; i++) data.push({pcat: "cafe", acat: "games", userId: 7});
+  return data;
+}
+
+describe("personalization", function(){
+  const recom = new AppRecom();
+  recom.train(records(), 0.05, 0.3, 0.8, {seed: 1});
+
+  it("blends the user's own confidence into the scores", function(){
+    const scored = recom.getApps("cafe", {userId: 7, userPrior: 5, withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.score, rec.level]), [["games", 0.5, "user"], ["news", 0.2, "exact"], ["social", 0.2, "exact"]]);
+  });
+
+  it("leans on the global rules while the user has little history", function(){
+    const scored = recom.getApps("cafe", {userId: 7, userPrior: 45, withScores: true});
+    assert.deepStrictEqual(roundNumbers(scored.map((rec)=> [rec.app, rec.score])), [["news", 0.36], ["social", 0.36], ["games", 0.1]]);
+    assert.deepStrictEqual(recom.getApps("cafe", {userId: 7, userPrior: 0}), ["games", "news", "social"]);
+  });
+
+  it("leaves the scores of unknown users as they are", function(){
+    assert.deepStrictEqual(recom.getApps("cafe", {userId: "stranger", withScores: true}), recom.getApps("cafe", {withScores: true}));
+  });
+
+  it("takes a numeric user id and its string for the same user", function(){
+    assert.deepStrictEqual(recom.getApps("cafe", {userId: "7", withScores: true}), recom.getApps("cafe", {userId: 7, withScores: true}));
+    assert.deepStrictEqual(recom.explain("cafe", "games", {userId: "7", userPrior: 5}).personalization, {userId: "7", records: 5, weight: 0.5, confidence: 1});
+  });
+});
@@ -0,0 +1,144 @@
+import assert from "assert";
+import AppRecom, {InvalidParameterError} from "../src/AppRecom";
+
+/*
+  Records where cafe => social, news, music and gym => fitness, each the less often the later.
+ */
+function records(){
+  const counts = [["cafe", "social", 6], ["cafe", "news", 3], ["cafe", "music", 1], ["gym", "fitness", 8], ["gym", "music", 2]];
+  return [].concat(...counts.map(([pcat, acat, count])=> Array.from({length: count}, ()=> ({pcat, acat}))));
+}
+
+function trained(options = {}){
+  const recom = new AppRecom();
+  recom.train(records(), 0.05, 0.05, 0.8, Object.assign({seed: 1}, options));
+  return recom;
+}
+
+describe("getApps()", function(){
+  it("ranks the app categories of a place category by confidence", function(){
+    assert.deepStrictEqual(trained().getApps("cafe"), ["social", "news", "music"]);
+  });
+
+  it("returns the best recommendations with their scores", function(){
+    const recom = trained();
+    const scored = recom.getApps("cafe", {limit: 2, withScores: true});
+    assert.deepStrictEqual(scored, [
+      {app: "social", score: 0.6, support: 0.3, confidence: 0.6, count: 6, level: "exact"},
+      {app: "news", score: 0.3, support: 0.15, confidence: 0.3, count: 3, level: "exact"}
+    ]);
+    assert.deepStrictEqual(recom.getApps("cafe", {limit: 0}), []);
+  });
+
+  it("drops recommendations below a confidence", function(){
+    assert.deepStrictEqual(trained().getApps("cafe", {minConfidence: 0.3, fallback: false}), ["social", "news"]);
+    assert.deepStrictEqual(trained().getApps("gym", {minConfidence: 0.9, fallback: false}), []);
+  });
+});
+
+describe("fallback recommendations", function(){
+  const taxonomy = {cafe: "food_and_drink", bistro: "food_and_drink", food_and_drink: "place", gym: "place"};
+
+  it("falls back to the rules of the closest parent category", function(){
+    const recom = trained({taxonomy});
+    const scored = recom.getApps("bistro", {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> rec.app), ["social", "news", "music"]);
+    assert.ok(scored.every((rec)=> rec.level == "parent"));
+    assert.strictEqual(scored[0].confidence, 0.6); // the parent stands in for all of its descendants
+  });
+
+  it("falls back to the most popular app categories", function(){
+    const scored = trained({taxonomy}).getApps("zoo", {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.count, rec.level]), [["fitness", 8, "popularity"], ["social", 6, "popularity"], ["music", 3, "popularity"], ["news", 3, "popularity"]]);
+  });
+
+  it("tries only the fallback levels asked for", function(){
+    const recom = trained({taxonomy});
+    assert.deepStrictEqual(recom.getApps("zoo", {fallback: ["exact", "parent"]}), []);
+    assert.deepStrictEqual(recom.getApps("bistro", {fallback: false}), []);
+    assert.deepStrictEqual(recom.getApps("cafe", {fallback: ["popularity"]}), ["fitness", "social", "music", "news"]);
+  });
+});
+
+describe("place name rules", function(){
+  /*
+    A chain that is a cafe in town and a shop at the airport, where its customers use other apps.
+   */
+  function chainRecords(){
+    const counts = [
+      ["Starbucks", "cafe", "social", 8], ["Starbucks", "cafe", "news", 2], ["Starbucks", "airport", "travel", 6], ["Starbucks", "airport", "news", 4],
+      ["Corner Cafe", "cafe", "music", 10], ["SEA", "airport", "travel", 10]
+    ];
+    return [].concat(...counts.map(([pname, pcat, acat, count])=> Array.from({length: count}, ()=> ({pname, pcat, acat}))));
+  }
+
+  const recom = new AppRecom();
+  recom.train(chainRecords(), 0.05, 0.05, 0.8, {seed: 1});
+
+  it("recommends from the rules of the place before those of its category", function(){
+    const scored = recom.getApps({pname: "Starbucks", pcat: "cafe"}, {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.confidence, rec.level]), [["social", 0.8, "place"], ["news", 0.2, "place"]]);
+    assert.deepStrictEqual(recom.getApps("cafe"), ["music", "social", "news"]);
+  });
+
+  it("keeps the rules of a name at each of its place categories apart", function(){
+    const scored = recom.getApps({pname: "Starbucks", pcat: "airport"}, {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.confidence, rec.level]), [["travel", 0.6, "place"], ["news", 0.4, "place"]]);
+    assert.strictEqual(recom.explain({pname: "Starbucks", pcat: "airport"}, "travel").hypothesisFrequency, 10);
+  });
+
+  it("falls back to the rules of the place category for a name without rules", function(){
+    const scored = recom.getApps({pname: "Corner Cafe", pcat: "airport"}, {withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.level]), [["travel", "exact"], ["news", "exact"]]);
+  });
+});
+
+describe("time based rules", function(){
+  /*
+    Cafe visits with news on weekday mornings and music on weekend evenings.
+   */
+  function timedRecords(){
+    const records = [];
+    for (let i = 0; i < 10; i++) {
+      records.push({pcat: "cafe", acat: "news", hour: 8, weekday: 1 + i % 5});
+      records.push({pcat: "cafe", acat: "music", timestamp: Date.UTC(2017, 0, 7 + 7 * i, 20)}); // Saturday evenings
+      records.push({pcat: "cafe", acat: "social"}, {pcat: "cafe", acat: "social"});
+    }
+    return records;
+  }
+
+  const recom = new AppRecom();
+  recom.train(timedRecords(), 0.05, 0.05, 0.8, {seed: 1});
+
+  it("recommends from the rules of the time bucket first", function(){
+    assert.deepStrictEqual(recom.getApps("cafe", {time: {hour: 9, weekday: 3}, withScores: true}).map((rec)=> [rec.app, rec.confidence, rec.level]), [["news", 1, "context"]]);
+    assert.deepStrictEqual(recom.getApps("cafe", {time: new Date(Date.UTC(2017, 5, 3, 19))}), ["music"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {time: {timestamp: Date.UTC(2017, 5, 3, 19)}}), ["music"]);
+  });
+
+  it("matches a time with only an hour or only a weekday", function(){
+    assert.deepStrictEqual(recom.getApps("cafe", {time: {hour: 10}}), ["news"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {time: {weekday: 0}}), ["music"]);
+  });
+
+  it("falls back to the rules of the place category for a time bucket without rules", function(){
+    const scored = recom.getApps("cafe", {time: {hour: 3, weekday: 3}, withScores: true});
+    assert.deepStrictEqual(scored.map((rec)=> [rec.app, rec.level]), [["social", "exact"], ["music", "exact"], ["news", "exact"]]);
+  });
+
+  it("rejects a time that cannot be bucketed", function(){
+    const parameterOf = (time)=>{
+      try {
+        recom.getApps("cafe", {time});
+      } catch (e) {
+        assert.ok(e instanceof InvalidParameterError);
+        return e.parameter;
+      }
+    };
+    assert.strictEqual(parameterOf({hour: 24}), "time.hour");
+    assert.strictEqual(parameterOf({hour: 6.5}), "time.hour");
+    assert.strictEqual(parameterOf({weekday: 7}), "time.weekday");
+    assert.strictEqual(parameterOf(new Date("not a date")), "time");
+    assert.strictEqual(parameterOf(NaN), "time");
+  });
+});
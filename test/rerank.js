@@ -0,0 +1,67 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+import {makeRecords} from "./support/records";
+
+describe("exclusions and diversity", function(){
+
+  /*
+    social and chat are used at the same place categories, news mostly at the library,
+    so at the cafe chat follows social unless the recommendations are diversified.
+   */
+  function repeated(count, record){
+    return Array.from({length: count}, ()=> Object.assign({}, record));
+  }
+  const data = [].concat(
+    repeated(10, {pcat: "cafe", acat: "social"}),
+    repeated(9, {pcat: "cafe", acat: "chat"}),
+    repeated(5, {pcat: "cafe", acat: "news"}),
+    repeated(5, {pcat: "bar", acat: "social"}),
+    repeated(5, {pcat: "bar", acat: "chat"}),
+    repeated(20, {pcat: "library", acat: "news"})
+  );
+  const recom = new AppRecom();
+  recom.train(data, 0.02, 0.1, 0.8, {seed: 1});
+
+  it("leaves out the excluded app categories and keeps the order of the rest", function(){
+    assert.deepStrictEqual(recom.getApps("cafe"), ["social", "chat", "news"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {exclude: ["chat"]}), ["social", "news"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {exclude: ["chat", "weather"], withScores: true}).map((rec)=> rec.score),
+      recom.getApps("cafe", {withScores: true}).filter((rec)=> rec.app != "chat").map((rec)=> rec.score));
+  });
+
+  it("falls through to the next level when every app category of a level is excluded", function(){
+    const recommendations = recom.getApps("bar", {exclude: ["social", "chat"], withScores: true});
+    assert.deepStrictEqual(recommendations.map((rec)=> [rec.app, rec.level]), [["news", "popularity"]]);
+  });
+
+  it("ranks an app category unlike those before it higher when diversified", function(){
+    assert.deepStrictEqual(recom.getApps("cafe", {diversify: true, diversity: 0.5}), ["social", "news", "chat"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {diversify: true}), ["social", "chat", "news"]); // at 0.3 the score of chat still wins
+    assert.deepStrictEqual(recom.getApps("cafe", {diversify: true, diversity: 0}), ["social", "chat", "news"]);
+
+    // the scores stay those of the rules
+    const diversified = recom.getApps("cafe", {diversify: true, diversity: 0.5, withScores: true});
+    const plain = recom.getApps("cafe", {withScores: true});
+    diversified.forEach((rec)=> assert.strictEqual(rec.score, plain.find((candidate)=> candidate.app == rec.app).score));
+    assert.deepStrictEqual(recom.getApps("cafe", {diversify: true, diversity: 0.5, limit: 2}), ["social", "news"]);
+    assert.deepStrictEqual(recom.getApps("cafe", {diversify: true, diversity: 0.5, exclude: ["social"]}), ["chat", "news"]);
+  });
+
+  it("excludes and diversifies the recommendations near a point", function(){
+    const records = makeRecords(800, 25);
+    const near = new AppRecom();
+    near.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    const point = {lat: 47.61, lng: -122.33};
+    const plain = near.getAppsNear(point);
+    assert.strictEqual(near.getAppsNear(point, {exclude: [plain[0]]}).indexOf(plain[0]), -1);
+    assert.deepStrictEqual(near.getAppsNear(point, {diversify: true}).slice().sort(), plain.slice().sort());
+  });
+
+  it("rejects exclusions that are not a list of app categories and diversity out of range", function(){
+    [{exclude: "social"}, {exclude: [1]}].forEach((options)=>{
+      assert.throws(()=> recom.getApps("cafe", options), (e)=> e instanceof InvalidParameterError && e.parameter == "exclude");
+    });
+    assert.throws(()=> recom.getApps("cafe", {diversify: true, diversity: 2}), (e)=> e instanceof InvalidParameterError && e.parameter == "diversity");
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {ruleMetrics} from "../src/rules";
+import {roundNumbers} from "./support/records";
+
+/*
+  Ten records: cafe => social 4 times out of 5, gym => fitness 4 times out of 5.
+ */
+function records(){
+  const counts = [["cafe", "social", 4], ["cafe", "news", 1], ["gym", "social", 1], ["gym", "fitness", 4]];
+  return [].concat(...counts.map(([pcat, acat, count])=> Array.from({length: count}, ()=> ({pcat, acat}))));
+}
+
+function rule(recom, pcat, app){
+  return roundNumbers((recom.rules[pcat] || []).find((candidate)=> candidate.app == app));
+}
+
+describe("association rule metrics", function(){
+  it("computes support, confidence, lift, leverage and conviction", function(){
+    const recom = new AppRecom();
+    recom.train(records(), 0.05, 0.1, 0.8, {seed: 1});
+    assert.deepStrictEqual(rule(recom, "cafe", "social"), {app: "social", count: 4, support: 0.4, confidence: 0.8, lift: 1.6, leverage: 0.15, conviction: 2.5});
+    assert.deepStrictEqual(rule(recom, "gym", "fitness"), {app: "fitness", count: 4, support: 0.4, confidence: 0.8, lift: 2, leverage: 0.2, conviction: 3});
+    assert.deepStrictEqual(rule(recom, "cafe", "news"), {app: "news", count: 1, support: 0.1, confidence: 0.2, lift: 2, leverage: 0.05, conviction: 1.125});
+    assert.deepStrictEqual(recom.rules.cafe.map((candidate)=> candidate.app), ["social", "news"]); // most frequent first
+  });
+
+  it("gives a rule that always holds an infinite conviction", function(){
+    assert.strictEqual(ruleMetrics(5, 5, 8, 10).conviction, Infinity);
+    assert.strictEqual(ruleMetrics(5, 5, 8, 10).lift, 1.25);
+  });
+
+  it("filters rules on min_conf and the lift, leverage and conviction thresholds", function(){
+    const apps = (options, min_conf = 0.1)=>{
+      const recom = new AppRecom();
+      recom.train(records(), 0.05, min_conf, 0.8, Object.assign({seed: 1}, options));
+      return Object.keys(recom.rules).sort().map((pcat)=> `${pcat}: ${recom.rules[pcat].map((candidate)=> candidate.app).join(", ")}`);
+    };
+    assert.deepStrictEqual(apps({}, 0.5), ["cafe: social", "gym: fitness"]);
+    assert.deepStrictEqual(apps({minLift: 1.7}), ["cafe: news", "gym: fitness"]);
+    assert.deepStrictEqual(apps({minLeverage: 0.1}), ["cafe: social", "gym: fitness"]);
+    assert.deepStrictEqual(apps({minConviction: 2.6}), ["gym: fitness"]);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "assert";
+import http from "http";
+import AppRecom from "../src/AppRecom";
+import {makeRecords} from "./support/records";
+
+/*
+  Sends a request to the server and resolves with the status, headers and parsed JSON body.
+ */
+function request(server, method, path, body){
+  return new Promise((resolve, reject)=>{
+    const payload = body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+    const req = http.request({host: "127.0.0.1", port: server.address().port, method, path, headers: payload !== undefined ? {"Content-Type": "application/json"} : {}}, (res)=>{
+      const chunks = [];
+      res.on("data", (chunk)=> chunks.push(chunk));
+      res.on("end", ()=> resolve({status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString("utf-8"))}));
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+describe("HTTP server", function(){
+  const records = makeRecords(400, 9).map((record, i)=> Object.assign({}, record, {userId: i % 20 ? record.userId : 7})); // user 7 has a numeric id
+  let recom;
+  let server;
+
+  beforeEach(function(){
+    recom = new AppRecom();
+    recom.train(records, 0.02, 0.3, 0.8, {seed: 1});
+    return AppRecom.serve(recom, {host: "127.0.0.1"}).then((listening)=> server = listening);
+  });
+
+  afterEach(function(done){
+    server.close(done);
+  });
+
+  it("answers the state of the model", function(){
+    return request(server, "GET", "/health").then(({status, body})=>{
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body, {status: "ok", trained: true, records: 400});
+      return request(server, "GET", "/model");
+    }).then(({body})=>{
+      assert.strictEqual(body.locations, Object.keys(recom.rules).length);
+      assert.strictEqual(body.params.min_conf, 0.3);
+    });
+  });
+
+  it("recommends for a location or a point", function(){
+    return request(server, "GET", "/recommendations?location=cafe&limit=2&exclude=news").then(({status, headers, body})=>{
+      assert.strictEqual(status, 200);
+      assert.strictEqual(headers["content-type"], "application/json; charset=utf-8");
+      assert.deepStrictEqual(body.recommendations, recom.getApps("cafe", {limit: 2, exclude: ["news"], withScores: true}));
+      return request(server, "GET", "/recommendations?lat=47.6&lng=-122.32&radiusMeters=100");
+    }).then(({body})=>{
+      assert.ok(body.recommendations.length && body.recommendations.every((rec)=> rec.level == "near"));
+    });
+  });
+
+  it("personalizes for users with numeric ids", function(){
+    return request(server, "GET", "/recommendations?location=cafe&userId=7&userPrior=1").then(({body})=>{
+      assert.deepStrictEqual(body.recommendations, recom.getApps("cafe", {userId: 7, userPrior: 1, withScores: true}));
+      assert.notDeepStrictEqual(body.recommendations, recom.getApps("cafe", {withScores: true}));
+    });
+  });
+
+  it("adds records, records feedback and trains", function(){
+    return request(server, "POST", "/records", makeRecords(10, 3)).then(({status, body})=>{
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body, {added: 10, records: 410});
+      return request(server, "POST", "/feedback", {location: "cafe", app: "social", outcome: "dismissed"});
+    }).then(({body})=>{
+      assert.deepStrictEqual(body, {feedback: {accepted: 0, dismissed: 1}});
+      return request(server, "POST", "/train", {data: records.slice(0, 100), min_support: 0.05, min_conf: 0.5, options: {seed: 1}});
+    }).then(({status, body})=>{
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.records, 100);
+      assert.strictEqual(body.params.min_conf, 0.5);
+      assert.strictEqual(body.report.seed, 1);
+    });
+  });
+
+  it("answers errors with a status and a code", function(){
+    return request(server, "GET", "/recommendations?location=cafe&limit=many").then(({status, body})=>{
+      assert.strictEqual(status, 400);
+      assert.deepStrictEqual(body.error, {code: "invalid_parameter", message: "Invalid parameter limit: must be a number, got many", parameter: "limit"});
+      return request(server, "POST", "/records", [{pcat: "cafe"}]);
+    }).then(({status, body})=>{
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.error.code, "invalid_record");
+      assert.deepStrictEqual(body.error.problems, [{index: 0, field: "acat", message: "acat must be a non-empty string"}]);
+      return request(server, "POST", "/feedback", "{not json");
+    }).then(({status, body})=>{
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.error.code, "invalid_json");
+    });
+  });
+
+  it("answers 404 for unknown paths and 405 for unsupported methods", function(){
+    return request(server, "GET", "/apps").then(({status, body})=>{
+      assert.strictEqual(status, 404);
+      assert.deepStrictEqual(body.error, {code: "not_found", message: "No endpoint /apps"});
+      return request(server, "DELETE", "/records");
+    }).then(({status, headers, body})=>{
+      assert.strictEqual(status, 405);
+      assert.strictEqual(headers.allow, "POST");
+      assert.strictEqual(body.error.code, "method_not_allowed");
+    });
+  });
+
+  it("answers 409 until the model is trained", function(){
+    let untrained;
+    return AppRecom.serve(new AppRecom(), {host: "127.0.0.1"})
+      .then((listening)=> request(untrained = listening, "GET", "/recommendations?location=cafe"))
+      .then((response)=>{
+        untrained.close();
+        assert.strictEqual(response.status, 409);
+        assert.strictEqual(response.body.error.code, "not_trained");
+      }, (e)=>{
+        if (untrained) untrained.close();
+        throw e;
+      });
+  });
+
+  it("answers 413 for a body that is too large", function(){
+    this.timeout(20000);
+    const body = `[${"0,".repeat(6 * 1024 * 1024)}0]`; // 12MB
+    return request(server, "POST", "/records", body).then(({status, headers, body})=>{
+      assert.strictEqual(status, 413);
+      assert.strictEqual(headers.connection, "close");
+      assert.strictEqual(body.error.code, "payload_too_large");
+      assert.strictEqual(recom.counts.records, 400);
+    });
+  });
+});
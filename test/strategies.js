@@ -0,0 +1,110 @@
+import assert from "assert";
+import AppRecom from "../src/AppRecom";
+import {InvalidParameterError} from "../src/errors";
+import {roundNumbers} from "./support/records";
+
+/*
+  Recommends the most used app category everywhere, to register as a strategy of its own.
+ */
+class MostUsedStrategy{
+  constructor(options = {}){
+    this.app = null;
+  }
+
+  fit(counts, params){
+    this.app = [...counts.acat].sort((a, b)=> b[1] - a[1])[0][0];
+  }
+
+  recommend(place){
+    return [{app: this.app, score: 1, support: 0, confidence: 0, count: 0}];
+  }
+
+  serialize(){
+    return {app: this.app};
+  }
+
+  static deserialize(json){
+    const strategy = new MostUsedStrategy();
+    strategy.app = json.app;
+    return strategy;
+  }
+}
+
+describe("strategies", function(){
+  const data = [
+    {pcat: "cafe", acat: "social"},
+    {pcat: "cafe", acat: "social"},
+    {pcat: "cafe", acat: "social"},
+    {pcat: "cafe", acat: "news"},
+    {pcat: "bar", acat: "social"},
+    {pcat: "bar", acat: "social"},
+    {pcat: "bar", acat: "music"},
+    {pcat: "bar", acat: "music"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"},
+    {pcat: "gym", acat: "fitness"}
+  ];
+
+  function trained(options){
+    const recom = new AppRecom();
+    recom.train(data, 0.05, 0.3, 0.8, Object.assign({seed: 1}, options));
+    return recom;
+  }
+
+  function throwsParameter(fn, parameter){
+    assert.throws(fn, (e)=> e instanceof InvalidParameterError && e.parameter == parameter);
+  }
+
+  it("recommends the app categories of similar place categories", function(){
+    const similarity = trained({strategy: "similarity"});
+    // bar and cafe share social, at a cosine of 6 / sqrt(8 * 10); the gym shares nothing
+    const cosine = 6 / Math.sqrt(80);
+    assert.deepStrictEqual(roundNumbers(similarity.getApps("bar", {withScores: true, fallback: ["exact"]}).map((rec)=> [rec.app, rec.score])), roundNumbers([
+      ["social", (0.5 + cosine * 0.75) / (1 + cosine)],
+      ["music", 0.5 / (1 + cosine)],
+      ["news", cosine * 0.25 / (1 + cosine)]
+    ]));
+    assert.deepStrictEqual(trained().getApps("bar", {fallback: ["exact"]}), ["music", "social"]);
+    assert.deepStrictEqual(similarity.getApps("gym", {fallback: ["exact"]}), ["fitness"]);
+  });
+
+  it("explains the neighbors a score was blended from", function(){
+    const explanation = trained({strategy: "similarity"}).explain("bar", "news");
+    assert.strictEqual(explanation.strategy, "similarity");
+    assert.deepStrictEqual(roundNumbers(explanation.strategyDetails), roundNumbers({neighbors: [
+      {pcat: "bar", similarity: 1, confidence: 0},
+      {pcat: "cafe", similarity: 6 / Math.sqrt(80), confidence: 0.25}
+    ]}));
+  });
+
+  it("limits the neighbors to the strategy options", function(){
+    const alone = trained({strategy: "similarity", strategyOptions: {minSimilarity: 0.9}});
+    assert.deepStrictEqual(alone.getApps("bar", {fallback: ["exact"]}), ["music", "social"]);
+    throwsParameter(()=> trained({strategy: "similarity", strategyOptions: {neighbors: 0}}), "neighbors");
+    throwsParameter(()=> trained({strategy: "similarity", strategyOptions: "many"}), "strategyOptions");
+  });
+
+  it("trains, saves and restores with a registered strategy", function(){
+    AppRecom.registerStrategy("mostUsed", MostUsedStrategy);
+    const recom = trained({strategy: "mostUsed"});
+    assert.deepStrictEqual(recom.getApps("cafe", {fallback: ["exact"]}), ["fitness"]);
+    assert.deepStrictEqual(recom.toJSON().strategy, {app: "fitness"});
+
+    const loaded = AppRecom.fromJSON(recom.toJSON());
+    assert.ok(loaded.strategy instanceof MostUsedStrategy);
+    assert.deepStrictEqual(loaded.getApps("zoo", {fallback: ["exact"]}), ["fitness"]);
+  });
+
+  it("rejects unknown strategies and classes that do not implement the interface", function(){
+    throwsParameter(()=> trained({strategy: "magic"}), "strategy");
+    throwsParameter(()=> AppRecom.registerStrategy("broken", function(){}), "Strategy");
+    throwsParameter(()=> AppRecom.registerStrategy("", MostUsedStrategy), "name");
+
+    const json = trained().toJSON();
+    json.params.strategy = "unregistered";
+    assert.throws(()=> AppRecom.fromJSON(json), /Unknown strategy unregistered/);
+  });
+});
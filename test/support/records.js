@@ -0,0 +1,84 @@
+import {seededRandom} from "../../src/random";
+
+/*
+  Generates records for the tests: every place category has apps it is known for,
+  so rules come out of the data, and the same seed gives the same records.
+ */
+
+// CONSTANTS
+const DAY_MILLISECONDS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2017, 0, 1);
+const PLACES = {
+  cafe: {names: ["Blue Cafe", "Corner Cafe"], apps: ["social", "news", "music"], lat: 47.61, lng: -122.33},
+  gym: {names: ["Iron Gym"], apps: ["fitness", "music"], lat: 47.62, lng: -122.35},
+  airport: {names: ["SEA"], apps: ["travel", "news"], lat: 47.45, lng: -122.31},
+  library: {names: ["Central Library"], apps: ["books", "education"], lat: 47.61, lng: -122.33},
+  bar: {names: ["Night Owl"], apps: ["social", "music"], lat: 47.6, lng: -122.32}
+};
+const OTHER_APPS = ["games", "weather", "shopping"];
+
+/**
+ * Makes records with a place name, coordinates, a timestamp and a user.
+ * @param {Number} count - the number of records
+ * @param {Number} seed - the seed of the generator
+ * @returns {Array<Object>} records
+ */
+function makeRecords(count, seed = 1){
+  const random = seededRandom(seed);
+  const pick = (array)=> array[Math.floor(random() * array.length)];
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const pcat = pick(Object.keys(PLACES));
+    const place = PLACES[pcat];
+    const acat = random() < 0.8 ? pick(place.apps) : pick(OTHER_APPS);
+    records.push({
+      pname: pick(place.names),
+      pcat,
+      aname: `${acat} app ${Math.floor(random() * 3)}`,
+      acat,
+      lat: place.lat,
+      lng: place.lng,
+      timestamp: START + Math.floor(random() * 90 * DAY_MILLISECONDS),
+      userId: `user-${Math.floor(random() * 5)}`
+    });
+  }
+  return records;
+}
+
+/**
+ * Rounds every number of a plain object, so results that only differ by floating point error compare equal.
+ */
+function roundNumbers(value, digits = 9){
+  if (typeof value === "number") return Number.isFinite(value) ? Number(value.toFixed(digits)) : value;
+  if (Array.isArray(value)) return value.map((item)=> roundNumbers(item, digits));
+  if (value && typeof value === "object") {
+    const rounded = {};
+    Object.keys(value).forEach((key)=> rounded[key] = roundNumbers(value[key], digits));
+    return rounded;
+  }
+  return value;
+}
+
+/**
+ * The rule tables of a model, which a model trained on the same records has the same of.
+ */
+function ruleTables(recom){
+  const json = recom.toJSON();
+  return roundNumbers({
+    rules: json.rules,
+    placeRules: json.placeRules,
+    contextRules: json.contextRules,
+    parentRules: json.parentRules,
+    popularity: json.popularity,
+    nameRules: json.nameRules,
+    namePopularity: json.namePopularity
+  });
+}
+
+// Module export
+export {
+  DAY_MILLISECONDS,
+  makeRecords,
+  roundNumbers,
+  ruleTables
+};
@@ -0,0 +1,51 @@
+import assert from "assert";
+import AppRecom, {InvalidParameterError} from "../src/AppRecom";
+import {makeRecords} from "./support/records";
+
+describe("tune()", function(){
+  const records = makeRecords(600, 10);
+  const options = {supportGrid: [0.02, 0.05], confGrid: [0.2, 0.4, 0.9], folds: 3, seed: 9};
+
+  it("ranks every combination of the grids by the metric", function(){
+    const {results, best, metric, folds} = AppRecom.tune(records, options);
+    assert.strictEqual(metric, "recallAtK");
+    assert.strictEqual(folds, 3);
+    assert.strictEqual(results.length, 6);
+    assert.deepStrictEqual(results.map((row)=> row.rank), [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(best, results[0]);
+    const covered = results.filter((row)=> row.coverage > 0);
+    covered.slice(1).forEach((row, i)=> assert.ok(row.recallAtK <= covered[i].recallAtK));
+  });
+
+  it("ranks by the lowest error for averageError", function(){
+    const {results} = AppRecom.tune(records, Object.assign({}, options, {metric: "averageError"}));
+    const covered = results.filter((row)=> row.coverage > 0);
+    covered.slice(1).forEach((row, i)=> assert.ok(row.averageError >= covered[i].averageError));
+  });
+
+  it("scores each combination like evaluate() on the same folds", function(){
+    const {results} = AppRecom.tune(records, options);
+    const row = results.find((candidate)=> candidate.min_support == 0.05 && candidate.min_conf == 0.4);
+    const report = new AppRecom().evaluate(records, 0.05, 0.4, 0.8, {folds: 3, seed: 9});
+    assert.deepStrictEqual([row.averageError, row.coverage, row.precisionAtK, row.recallAtK], [report.averageError, report.coverage, report.precisionAtK, report.recallAtK]);
+  });
+
+  it("trains the model with the best parameters", function(){
+    const {model, best} = AppRecom.tune(records, options);
+    const recom = new AppRecom();
+    recom.train(records, best.min_support, best.min_conf, 0.8, {seed: 1});
+    assert.strictEqual(model.params.min_support, best.min_support);
+    assert.strictEqual(model.params.min_conf, best.min_conf);
+    assert.deepStrictEqual(model.rules, recom.rules);
+  });
+
+  it("tunes to the same parameters for the same seed", function(){
+    assert.deepStrictEqual(AppRecom.tune(records, options).results, AppRecom.tune(records, options).results);
+  });
+
+  it("rejects empty grids and unknown metrics", function(){
+    assert.throws(()=> AppRecom.tune(records, {supportGrid: []}), (e)=> e instanceof InvalidParameterError && e.parameter == "supportGrid");
+    assert.throws(()=> AppRecom.tune(records, {confGrid: [0.5, 2]}), (e)=> e instanceof InvalidParameterError && e.parameter == "confGrid[1]");
+    assert.throws(()=> AppRecom.tune(records, {metric: "f1"}), (e)=> e instanceof InvalidParameterError && e.parameter == "metric");
+  });
+});
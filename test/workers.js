@@ -0,0 +1,33 @@
+import assert from "assert";
+import AppRecom, {InvalidParameterError} from "../src/AppRecom";
+import {countRecords, countInWorkers, countsToJSON} from "../src/counts";
+import {makeRecords, roundNumbers, ruleTables} from "./support/records";
+
+describe("counting", function(){
+  this.timeout(30000); // each worker compiles the sources again
+  const records = makeRecords(600, 8);
+
+  it("merges the counts of the worker shards into those of a single pass", function(){
+    return countInWorkers(records, 3).then((counts)=>{
+      const sorted = (json)=> roundNumbers(Object.keys(json).reduce((all, name)=> Object.assign(all, {[name]: Array.isArray(json[name]) ? json[name].slice().sort() : json[name]}), {}));
+      assert.deepStrictEqual(sorted(countsToJSON(counts)), sorted(countsToJSON(countRecords(records))));
+    });
+  });
+
+  it("trains the same model on worker threads as train()", function(){
+    const recom = new AppRecom();
+    const report = recom.train(records, 0.02, 0.3, 0.8, {seed: 4, minContextSupport: 0.01});
+    const threaded = new AppRecom();
+    return threaded.trainAsync(records, 0.02, 0.3, 0.8, {seed: 4, minContextSupport: 0.01, workers: 2}).then((threadedReport)=>{
+      assert.deepStrictEqual(threadedReport, report);
+      assert.deepStrictEqual(ruleTables(threaded), ruleTables(recom));
+    });
+  });
+
+  it("rejects a number of workers below 1", function(){
+    return new AppRecom().trainAsync(records, 0.02, 0.3, 0.8, {workers: 0}).then(()=> assert.fail("trained"), (e)=>{
+      assert.ok(e instanceof InvalidParameterError);
+      assert.strictEqual(e.parameter, "workers");
+    });
+  });
+});